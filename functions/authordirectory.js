@@ -0,0 +1,395 @@
+/**
+ * Author Directory Module
+ * Groups packages by author for the author pages (#/author/<key>) and the authors index
+ * The string form of author ("Name <email> (url)") and the object form resolve to the same person
+ */
+
+class AuthorDirectory {
+    constructor() {
+        // Called with a package, resolves to its releases, or null if its host has no download counts
+        this.fetchReleases = null;
+        this.onBack = null;
+        this.onOpenAuthor = null; // Called with an author key from author links, or null for the index
+        this.onOpenPackage = null; // Called with a package name from package links
+
+        // Tags listed for each author in the index
+        this.indexTags = 5;
+    }
+
+    /**
+     * Normalize the author field of a manifest
+     * @param {string|object} author - "Name", "Name <email> (url)" or {name, email, url}
+     * @returns {object|null} - {key, name, email, url}, or null if there is no name
+     */
+    normalize(author) {
+        let name = '';
+        let email = null;
+        let url = null;
+
+        if (typeof author === 'string') {
+            // npm's person format; anything else is taken as the name
+            const match = author.match(/^([^<(]*?)\s*(?:<([^>]*)>)?\s*(?:\(([^)]*)\))?\s*$/);
+            name = match && match[1] ? match[1] : author;
+            email = match && match[2] ? match[2].trim() : null;
+            url = match && match[3] ? match[3].trim() : null;
+        } else if (author && typeof author === 'object') {
+            name = typeof author.name === 'string' ? author.name : '';
+            email = typeof author.email === 'string' && author.email.trim() ? author.email.trim() : null;
+            url = typeof author.url === 'string' && author.url.trim() ? author.url.trim() : null;
+        }
+
+        name = name.trim().replace(/\s+/g, ' ');
+        if (!name) {
+            return null;
+        }
+
+        return { key: this.getKey(name), name, email, url };
+    }
+
+    /**
+     * Build the URL key of an author name
+     * @param {string} name - Author name
+     * @returns {string} - Lowercase slug, e.g. "unity-forge" for "Unity Forge"
+     */
+    getKey(name) {
+        return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || name.toLowerCase();
+    }
+
+    /**
+     * Get the display name of a package's author
+     * @param {object} pkg - Package data
+     * @param {string} fallback - Returned if the package has no author
+     * @returns {string} - Author name
+     */
+    getName(pkg, fallback = 'Unknown') {
+        const author = this.normalize(pkg.author);
+        return author ? author.name : fallback;
+    }
+
+    /**
+     * Render a package's author as a link to their page
+     * @param {object} pkg - Package data
+     * @returns {string} - HTML, plain text if the package has no author
+     */
+    renderLink(pkg) {
+        const author = this.normalize(pkg.author);
+        if (!author) {
+            return 'Unknown';
+        }
+
+        return `<a href="${safeHtml.escape(router.href('author', author.key))}" class="author-link" data-author="${safeHtml.escape(author.key)}">${safeHtml.escape(author.name)}</a>`;
+    }
+
+    /**
+     * Group packages by author
+     * Contact details are taken from whichever manifest provides them.
+     * @param {Array} packages - Package data
+     * @returns {Array} - [{key, name, email, url, packages}], sorted by name
+     */
+    group(packages) {
+        const authors = new Map();
+
+        packages.forEach(pkg => {
+            const author = this.normalize(pkg.author);
+            if (!author) {
+                return;
+            }
+
+            const existing = authors.get(author.key);
+            if (existing) {
+                existing.email = existing.email || author.email;
+                existing.url = existing.url || author.url;
+                existing.packages.push(pkg);
+            } else {
+                authors.set(author.key, Object.assign(author, { packages: [pkg] }));
+            }
+        });
+
+        return Array.from(authors.values())
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Find an author by key
+     * @param {Array} packages - Package data
+     * @param {string} key - Author key, as in #/author/<key>
+     * @returns {object|null} - Author from group(), or null if no package has that author
+     */
+    find(packages, key) {
+        const wanted = this.getKey(String(key));
+        return this.group(packages).find(author => author.key === wanted) || null;
+    }
+
+    /**
+     * Count the tags of an author's packages
+     * @param {Array} packages - Package data
+     * @returns {Array} - [{tag, count}], most used first
+     */
+    countTags(packages) {
+        const counts = new Map();
+        packages.forEach(pkg => {
+            new Set((pkg.keywords || pkg.tags || []).map(tag => String(tag).toLowerCase()))
+                .forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+
+        return Array.from(counts, ([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    /**
+     * Render the authors index
+     * @param {Array} packages - Package data
+     */
+    renderIndex(packages) {
+        const container = document.getElementById('authorsView');
+        const authors = this.group(packages);
+        const unattributed = packages.filter(pkg => !this.normalize(pkg.author)).length;
+
+        container.innerHTML = `
+            <div class="detail-section">
+                <h3>Authors</h3>
+                <p class="stats-caption">
+                    ${authors.length} author${authors.length === 1 ? '' : 's'} publishing ${packages.length - unattributed} package${packages.length - unattributed === 1 ? '' : 's'}.
+                    ${unattributed > 0 ? `${unattributed} package${unattributed === 1 ? ' has' : 's have'} no author.` : ''}
+                </p>
+                <table class="diagnostics-table stats-table authors-table">
+                    <thead>
+                        <tr><th>Author</th><th>Packages</th><th>Top tags</th></tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        `;
+
+        const tbody = container.querySelector('tbody');
+        authors.forEach(author => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><a class="stats-name author-link" href="${safeHtml.escape(router.href('author', author.key))}"></a></td>
+                <td>${author.packages.length}</td>
+                <td class="author-tags"></td>
+            `;
+
+            // Names and tags come from third-party manifests
+            const link = row.querySelector('.author-link');
+            link.textContent = author.name;
+            link.dataset.author = author.key;
+            row.querySelector('.author-tags').textContent = this.countTags(author.packages)
+                .slice(0, this.indexTags)
+                .map(entry => entry.tag)
+                .join(', ') || '-';
+
+            tbody.appendChild(row);
+        });
+
+        this.bindLinks(container);
+    }
+
+    /**
+     * Render the page of one author: contact details, download totals, tags and packages
+     * @param {object} author - Author from group()
+     */
+    async renderAuthor(author) {
+        const container = document.getElementById('authorView');
+        const esc = (value) => safeHtml.escape(value);
+        const url = safeHtml.safeUrl(author.url);
+        const count = author.packages.length;
+
+        container.innerHTML = `
+            <a href="${esc(router.href('grid'))}" class="detail-back">
+                <i class="fas fa-arrow-left"></i> Back to packages
+            </a>
+
+            <div class="detail-header">
+                <h2 class="package-name">${esc(author.name)}</h2>
+                <p class="author-contact">
+                    ${url ? `<a href="${esc(url)}" target="_blank" rel="noopener"><i class="fas fa-link"></i> ${esc(author.url)}</a>` : ''}
+                    ${author.email ? `<a href="mailto:${esc(encodeURIComponent(author.email).replace(/%40/g, '@'))}"><i class="fas fa-envelope"></i> ${esc(author.email)}</a>` : ''}
+                </p>
+                <p class="package-description">
+                    ${count} package${count === 1 ? '' : 's'} in the catalog.
+                    <a href="${esc(router.href('authors'))}" class="author-index-link">All authors</a>
+                </p>
+            </div>
+
+            <div class="detail-section stats-section">
+                <h3>Downloads</h3>
+                <div class="author-downloads">
+                    <div class="loading">
+                        <div class="spinner"></div>
+                        <p>Loading release data...</p>
+                    </div>
+                </div>
+            </div>
+
+            <div class="detail-section">
+                <h3>Tags</h3>
+                <div class="package-tags author-tag-list"></div>
+            </div>
+
+            <div class="detail-section">
+                <h3>Packages</h3>
+                <table class="diagnostics-table stats-table">
+                    <thead>
+                        <tr><th>Package</th><th>Version</th><th>Tags</th><th>Downloads</th></tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        `;
+
+        container.querySelector('.detail-back').addEventListener('click', (e) => {
+            e.preventDefault();
+            if (this.onBack) {
+                this.onBack();
+            }
+        });
+        container.querySelector('.author-index-link').addEventListener('click', (e) => {
+            e.preventDefault();
+            if (this.onOpenAuthor) {
+                this.onOpenAuthor(null);
+            }
+        });
+
+        this.renderTags(container.querySelector('.author-tag-list'), author.packages);
+
+        const tbody = container.querySelector('tbody');
+        const rows = new Map(author.packages.map(pkg => [pkg, this.createPackageRow(pkg)]));
+        rows.forEach(row => tbody.appendChild(row));
+        this.bindLinks(container);
+
+        const totals = await Promise.all(author.packages.map(async pkg => {
+            try {
+                const releases = this.fetchReleases ? await this.fetchReleases(pkg) : null;
+                return releases ? downloadCounter.getBreakdown(releases).total : null;
+            } catch (error) {
+                console.error(`Error loading releases for ${pkg.name}:`, error);
+                return null;
+            }
+        }));
+
+        author.packages.forEach((pkg, index) => {
+            rows.get(pkg).querySelector('.author-package-downloads').textContent =
+                totals[index] === null ? '-' : totals[index].toLocaleString();
+        });
+        this.renderDownloads(container.querySelector('.author-downloads'), author.packages, totals);
+    }
+
+    /**
+     * Render the aggregated download total of an author
+     * @param {HTMLElement} body - Element to render into
+     * @param {Array} packages - The author's packages
+     * @param {Array} totals - Download total per package, null where unavailable
+     */
+    renderDownloads(body, packages, totals) {
+        const counted = packages
+            .map((pkg, index) => ({ pkg, total: totals[index] }))
+            .filter(entry => entry.total !== null)
+            .sort((a, b) => b.total - a.total);
+
+        if (counted.length === 0) {
+            body.innerHTML = '<p class="detail-empty">Download statistics are not available for these packages.</p>';
+            return;
+        }
+
+        const total = counted.reduce((sum, entry) => sum + entry.total, 0);
+        const missing = packages.length - counted.length;
+
+        body.innerHTML = `
+            <div class="stats-summary">
+                <div class="stats-total">
+                    <span class="stats-number">${total.toLocaleString()}</span>
+                    <span class="stats-caption">
+                        downloads across ${counted.length} package${counted.length === 1 ? '' : 's'}
+                        ${missing > 0 ? `(${missing} without download data)` : ''}
+                    </span>
+                </div>
+            </div>
+            ${counted.length > 1 ? `
+                <div class="chart-scroll">
+                    ${svgChart.horizontalBarChart(counted.map(entry => ({
+                        label: entry.pkg.displayName || entry.pkg.name,
+                        value: entry.total
+                    })), { formatValue: (value) => downloadCounter.formatCount(value) })}
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Render the tag breakdown of an author's packages
+     * @param {HTMLElement} list - Element to render into
+     * @param {Array} packages - The author's packages
+     */
+    renderTags(list, packages) {
+        const tags = this.countTags(packages);
+        if (tags.length === 0) {
+            list.innerHTML = '<p class="detail-empty">These packages have no tags.</p>';
+            return;
+        }
+
+        tags.forEach(({ tag, count }) => {
+            const link = document.createElement('a');
+            link.className = 'tag';
+            link.href = `./?tags=${encodeURIComponent(tag)}`;
+            link.textContent = tag;
+
+            const badge = document.createElement('span');
+            badge.className = 'tag-count';
+            badge.textContent = count;
+            link.appendChild(badge);
+
+            list.appendChild(link);
+        });
+    }
+
+    /**
+     * Create the package table row of an author's page
+     * @param {object} pkg - Package data
+     * @returns {HTMLElement} - Table row, with downloads filled in later
+     */
+    createPackageRow(pkg) {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><a class="stats-name package-link" href="${safeHtml.escape(router.href('package', pkg.name))}"></a></td>
+            <td class="author-package-version"></td>
+            <td class="author-package-tags"></td>
+            <td class="author-package-downloads"><span class="spinner spinner-small"></span></td>
+        `;
+
+        // Everything here comes from third-party manifests
+        const link = row.querySelector('.package-link');
+        link.textContent = pkg.displayName || pkg.name;
+        link.dataset.package = pkg.name;
+        row.querySelector('.author-package-version').textContent = pkg.version ? `v${pkg.version}` : '-';
+        row.querySelector('.author-package-tags').textContent = (pkg.keywords || pkg.tags || []).join(', ') || '-';
+
+        return row;
+    }
+
+    /**
+     * Open author and package links in place instead of reloading the page
+     * @param {HTMLElement} container - Element with the links
+     */
+    bindLinks(container) {
+        container.querySelectorAll('a[data-author]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                if (this.onOpenAuthor) {
+                    e.preventDefault();
+                    this.onOpenAuthor(link.dataset.author);
+                }
+            });
+        });
+        container.querySelectorAll('a[data-package]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                if (this.onOpenPackage) {
+                    e.preventDefault();
+                    this.onOpenPackage(link.dataset.package);
+                }
+            });
+        });
+    }
+}
+
+// Create global instance
+const authorDirectory = new AuthorDirectory();
@@ -0,0 +1,258 @@
+/**
+ * Compare View Module
+ * Side-by-side comparison of up to four packages (#/compare/<names>), with differing rows highlighted
+ */
+
+class CompareView {
+    constructor() {
+        this.maxPackages = 4;
+
+        // Called with a package, resolves to its releases, or null if its host has no download counts
+        this.fetchReleases = null;
+        this.onBack = null;
+        this.onRemove = null; // Called with a package name when its column is removed
+
+        // Manifest links shown in the comparison; links.release is the API URL, not a page
+        this.linkLabels = {
+            github: 'Repository',
+            documentation: 'Documentation',
+            download: 'Download'
+        };
+    }
+
+    /**
+     * Render the comparison table
+     * @param {Array} packages - Packages to compare, in column order
+     * @param {object} options - {missing: names not in the catalog, editorVersion: selected Unity editor or ''}
+     */
+    async render(packages, { missing = [], editorVersion = '' } = {}) {
+        const container = document.getElementById('compareView');
+        const esc = (value) => safeHtml.escape(value);
+
+        container.innerHTML = `
+            <a href="${esc(router.href('grid'))}" class="detail-back">
+                <i class="fas fa-arrow-left"></i> Back to packages
+            </a>
+
+            <div class="detail-section">
+                <h3>Compare Packages</h3>
+                <p class="stats-caption compare-caption"></p>
+                <div class="compare-scroll"></div>
+            </div>
+        `;
+
+        container.querySelector('.detail-back').addEventListener('click', (e) => {
+            e.preventDefault();
+            if (this.onBack) {
+                this.onBack();
+            }
+        });
+
+        const caption = packages.length === 0
+            ? 'Pick packages with the compare button on their cards.'
+            : `Comparing ${packages.length} package${packages.length === 1 ? '' : 's'}. Rows that differ are highlighted.`;
+        container.querySelector('.compare-caption').textContent = caption +
+            (missing.length > 0 ? ` Not in the catalog: ${missing.join(', ')}.` : '');
+
+        if (packages.length === 0) {
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'diagnostics-table compare-table';
+        table.appendChild(this.createHeader(packages));
+
+        const tbody = document.createElement('tbody');
+        this.getRows(editorVersion).forEach(row => {
+            tbody.appendChild(this.createRow(row.label, packages.map(pkg => row.value(pkg))));
+        });
+
+        // Release data arrives later; these rows fill in when it does
+        const downloadsRow = this.createRow('Downloads', packages.map(() => null));
+        const releaseRow = this.createRow('Latest release', packages.map(() => null));
+        tbody.appendChild(downloadsRow);
+        tbody.appendChild(releaseRow);
+        tbody.appendChild(this.createRow('Links', packages.map(pkg => this.getLinks(pkg))));
+
+        table.appendChild(tbody);
+        container.querySelector('.compare-scroll').appendChild(table);
+
+        const breakdowns = await Promise.all(packages.map(async pkg => {
+            try {
+                const releases = this.fetchReleases ? await this.fetchReleases(pkg) : null;
+                return releases ? downloadCounter.getBreakdown(releases) : null;
+            } catch (error) {
+                console.error(`Error loading releases for ${pkg.name}:`, error);
+                return null;
+            }
+        }));
+
+        this.fillRow(downloadsRow, breakdowns.map(breakdown => ({
+            text: breakdown ? breakdown.total.toLocaleString() : 'Not available'
+        })));
+        this.fillRow(releaseRow, breakdowns.map(breakdown => ({
+            text: this.describeLatest(breakdown)
+        })));
+    }
+
+    /**
+     * Fields compared for every package, read straight from the manifest
+     * @param {string} editorVersion - Selected Unity editor version, '' if none
+     * @returns {Array} - [{label, value}]; value maps a package to a cell {text}
+     */
+    getRows(editorVersion) {
+        const list = (items) => items.length > 0 ? items.join(', ') : 'None';
+
+        const rows = [
+            { label: 'Author', value: pkg => ({ text: authorDirectory.getName(pkg) }) },
+            { label: 'Version', value: pkg => ({ text: pkg.version ? `v${pkg.version}` : '-' }) },
+            { label: 'Status', value: pkg => ({ text: pkg.status || 'unknown' }) },
+            { label: 'Minimum Unity', value: pkg => ({ text: unityVersion.getMinimum(pkg) || 'Any' }) },
+            {
+                label: 'Dependencies',
+                value: pkg => ({ text: list(Object.keys(pkg.dependencies || {}).map(name => `${name}@${pkg.dependencies[name]}`)) })
+            },
+            { label: 'Tags', value: pkg => ({ text: list((pkg.keywords || pkg.tags || []).map(String)) }) }
+        ];
+
+        if (editorVersion) {
+            rows.splice(4, 0, {
+                label: `Works in ${editorVersion}`,
+                value: pkg => ({ text: unityVersion.isCompatible(pkg, editorVersion) ? 'Yes' : 'No' })
+            });
+        }
+
+        return rows;
+    }
+
+    /**
+     * Build the header row: one column per package, each with a remove button
+     * @param {Array} packages - Packages being compared
+     * @returns {HTMLElement} - Table head
+     */
+    createHeader(packages) {
+        const thead = document.createElement('thead');
+        const row = document.createElement('tr');
+        row.appendChild(document.createElement('th'));
+
+        packages.forEach(pkg => {
+            const cell = document.createElement('th');
+            cell.innerHTML = `
+                <a class="stats-name compare-name" href="${safeHtml.escape(router.href('package', pkg.name))}"></a>
+                <span class="compare-id"></span>
+                <button class="btn-close compare-remove" title="Remove from comparison">&times;</button>
+            `;
+
+            // Names come from third-party manifests
+            cell.querySelector('.compare-name').textContent = pkg.displayName || pkg.name;
+            cell.querySelector('.compare-id').textContent = pkg.name;
+            cell.querySelector('.compare-remove').addEventListener('click', () => {
+                if (this.onRemove) {
+                    this.onRemove(pkg.name);
+                }
+            });
+
+            row.appendChild(cell);
+        });
+
+        thead.appendChild(row);
+        return thead;
+    }
+
+    /**
+     * Create a comparison row
+     * @param {string} label - Field name
+     * @param {Array} cells - One {text} or {links} per package; null while loading
+     * @returns {HTMLElement} - Table row
+     */
+    createRow(label, cells) {
+        const row = document.createElement('tr');
+        const heading = document.createElement('th');
+        heading.scope = 'row';
+        heading.textContent = label;
+        row.appendChild(heading);
+
+        cells.forEach(() => row.appendChild(document.createElement('td')));
+        if (cells.every(cell => cell === null)) {
+            row.querySelectorAll('td').forEach(td => {
+                td.innerHTML = '<span class="spinner spinner-small"></span>';
+            });
+        } else {
+            this.fillRow(row, cells);
+        }
+
+        return row;
+    }
+
+    /**
+     * Fill the cells of a row and highlight it if they differ
+     * @param {HTMLElement} row - Table row from createRow
+     * @param {Array} cells - One {text} or {links: [{label, url}]} per package
+     */
+    fillRow(row, cells) {
+        const tds = row.querySelectorAll('td');
+
+        cells.forEach((cell, index) => {
+            const td = tds[index];
+            td.innerHTML = '';
+
+            if (!cell.links) {
+                td.textContent = cell.text;
+                return;
+            }
+
+            if (cell.links.length === 0) {
+                td.textContent = 'None';
+            }
+            cell.links.forEach(link => {
+                const anchor = document.createElement('a');
+                anchor.href = link.url;
+                anchor.target = '_blank';
+                anchor.rel = 'noopener';
+                anchor.className = 'compare-link';
+                anchor.textContent = link.label;
+                td.appendChild(anchor);
+            });
+        });
+
+        // Links differ when a package lacks one the others have, not by URL
+        const keys = cells.map(cell => cell.links ? cell.links.map(link => link.label).join(',') : cell.text);
+        row.classList.toggle('compare-diff', new Set(keys).size > 1);
+    }
+
+    /**
+     * Collect the http(s) links of a package
+     * @param {object} pkg - Package data
+     * @returns {object} - {links: [{label, url}]}
+     */
+    getLinks(pkg) {
+        const links = pkg.links || {};
+        return {
+            links: Object.keys(this.linkLabels)
+                .map(key => ({ label: this.linkLabels[key], url: safeHtml.safeUrl(links[key]) }))
+                .filter(link => link.url)
+        };
+    }
+
+    /**
+     * Describe the newest release of a package
+     * @param {object|null} breakdown - From downloadCounter.getBreakdown, null if unavailable
+     * @returns {string} - e.g. "v1.2.0, 5/1/2024"
+     */
+    describeLatest(breakdown) {
+        if (!breakdown) {
+            return 'Not available';
+        }
+        if (!breakdown.latest) {
+            return 'No releases';
+        }
+
+        const release = breakdown.releases.find(item => item.tag === breakdown.latest.tag);
+        return release && release.publishedAt
+            ? `${release.tag}, ${release.publishedAt.toLocaleDateString()}`
+            : breakdown.latest.tag;
+    }
+}
+
+// Create global instance
+const compareView = new CompareView();
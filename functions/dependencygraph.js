@@ -0,0 +1,189 @@
+/**
+ * Dependency Graph Module
+ * Resolves package.json "dependencies" between packages in the catalog
+ *
+ * A dependency is one of:
+ *   ok       - listed in the catalog at a version that satisfies every requirement
+ *   external - a Unity registry package (com.unity.*), installed by the Package Manager
+ *   missing  - not in the catalog
+ *   conflict - the catalog version is older than required, or packages in the
+ *              tree require different major versions of it
+ */
+
+class DependencyGraph {
+    constructor() {
+        this.externalPrefix = 'com.unity.';
+        this.packages = new Map(); // Package name -> package
+        this.requiredBy = new Map(); // Package name -> [{name, required}]
+    }
+
+    /**
+     * Index the dependencies of all loaded packages
+     * @param {Array} packages - Package data
+     */
+    build(packages) {
+        this.packages = new Map(packages.map(pkg => [pkg.name, pkg]));
+        this.requiredBy = new Map();
+
+        packages.forEach(pkg => {
+            Object.entries(pkg.dependencies || {}).forEach(([name, required]) => {
+                if (!this.requiredBy.has(name)) {
+                    this.requiredBy.set(name, []);
+                }
+                this.requiredBy.get(name).push({ name: pkg.name, required });
+            });
+        });
+    }
+
+    /**
+     * Direct dependencies of a package
+     * @param {object} pkg - Package data
+     * @returns {Array} - [{name, required, pkg, status, problem}]
+     */
+    getDependencies(pkg) {
+        return Object.entries(pkg.dependencies || {}).map(([name, required]) =>
+            Object.assign({ name, required, pkg: this.packages.get(name) || null },
+                this.check(name, required, null)));
+    }
+
+    /**
+     * Packages in the catalog that depend on a package
+     * @param {object} pkg - Package data
+     * @returns {Array} - [{name, required, pkg}]
+     */
+    getDependents(pkg) {
+        return (this.requiredBy.get(pkg.name) || []).map(dependent => ({
+            name: dependent.name,
+            required: dependent.required,
+            pkg: this.packages.get(dependent.name) || null
+        }));
+    }
+
+    /**
+     * Build the transitive dependency tree of a package
+     * Each package is expanded once; later occurrences are marked as repeated
+     * @param {object} pkg - Package data
+     * @returns {object} - Root node {name, required, pkg, status, problem, children, repeated, cycle}
+     */
+    getTree(pkg) {
+        const requirements = this.collectRequirements(pkg);
+        const expanded = new Set();
+
+        const visit = (name, required, ancestors) => {
+            const found = this.packages.get(name) || null;
+            const node = Object.assign(
+                { name, required, pkg: found, children: [], repeated: false, cycle: false },
+                required === null ? { status: 'ok', problem: null } : this.check(name, required, requirements)
+            );
+
+            if (!found) {
+                return node;
+            }
+            if (ancestors.has(name)) {
+                node.cycle = true;
+                return node;
+            }
+            if (expanded.has(name)) {
+                node.repeated = Object.keys(found.dependencies || {}).length > 0;
+                return node;
+            }
+
+            expanded.add(name);
+            const path = new Set(ancestors).add(name);
+            node.children = Object.entries(found.dependencies || {})
+                .map(([child, childRequired]) => visit(child, childRequired, path));
+
+            return node;
+        };
+
+        return visit(pkg.name, null, new Set());
+    }
+
+    /**
+     * List the missing and conflicting nodes of a tree, once per package
+     * @param {object} tree - Root node from getTree
+     * @returns {Array} - Problem nodes
+     */
+    getProblems(tree) {
+        const problems = new Map();
+
+        const walk = (node) => {
+            if ((node.status === 'missing' || node.status === 'conflict') && !problems.has(node.name)) {
+                problems.set(node.name, node);
+            }
+            node.children.forEach(walk);
+        };
+        walk(tree);
+
+        return Array.from(problems.values());
+    }
+
+    /**
+     * Record every version each reachable package is required at
+     * @param {object} pkg - Root package
+     * @returns {Map} - Package name -> [{by, required}]
+     */
+    collectRequirements(pkg) {
+        const requirements = new Map();
+        const queue = [pkg];
+        const visited = new Set([pkg.name]);
+
+        while (queue.length > 0) {
+            const current = queue.shift();
+
+            Object.entries(current.dependencies || {}).forEach(([name, required]) => {
+                if (!requirements.has(name)) {
+                    requirements.set(name, []);
+                }
+                requirements.get(name).push({ by: current.name, required });
+
+                const found = this.packages.get(name);
+                if (found && !visited.has(name)) {
+                    visited.add(name);
+                    queue.push(found);
+                }
+            });
+        }
+
+        return requirements;
+    }
+
+    /**
+     * Check a single dependency against the catalog
+     * @param {string} name - Dependency package name
+     * @param {string} required - Required version
+     * @param {Map|null} requirements - All requirements in the tree, from collectRequirements
+     * @returns {object} - {status, problem}
+     */
+    check(name, required, requirements) {
+        const found = this.packages.get(name);
+
+        if (!found) {
+            return name.startsWith(this.externalPrefix)
+                ? { status: 'external', problem: null }
+                : { status: 'missing', problem: `${name} is not in the catalog` };
+        }
+
+        // UPM treats the declared version as a minimum
+        if (semver.compare(found.version, required) < 0) {
+            return { status: 'conflict', problem: `requires ${required}, catalog has ${found.version}` };
+        }
+
+        const majors = new Set((requirements && requirements.get(name) || [])
+            .map(requirement => semver.parse(requirement.required))
+            .filter(version => version)
+            .map(version => version.major));
+
+        if (majors.size > 1) {
+            const wanted = requirements.get(name)
+                .map(requirement => `${requirement.by} wants ${requirement.required}`)
+                .join(', ');
+            return { status: 'conflict', problem: `incompatible versions required: ${wanted}` };
+        }
+
+        return { status: 'ok', problem: null };
+    }
+}
+
+// Create global instance
+const dependencyGraph = new DependencyGraph();
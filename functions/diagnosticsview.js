@@ -0,0 +1,125 @@
+/**
+ * Diagnostics View Module
+ * Lists every repository from repository.json with its load status and validation issues
+ */
+
+class DiagnosticsView {
+    constructor() {
+        this.statusLabels = {
+            loaded: 'Loaded',
+            invalid: 'Excluded',
+            failed: 'Failed',
+            pending: 'Pending'
+        };
+    }
+
+    /**
+     * Render the diagnostics report
+     * @param {Array} repositories - Repository keys in repository.json order
+     * @param {Map} diagnostics - Repository key to {repository, url, status, source, name, errors, warnings}
+     */
+    render(repositories, diagnostics) {
+        const container = document.getElementById('diagnosticsView');
+
+        const entries = repositories.map(repoKey => diagnostics.get(repoKey) || {
+            repository: repoKey,
+            status: 'pending',
+            errors: [],
+            warnings: []
+        });
+
+        container.innerHTML = `
+            <div class="detail-section">
+                <h3>Package Diagnostics</h3>
+                <p class="diagnostics-summary">${this.summarize(entries)}</p>
+                <table class="diagnostics-table">
+                    <thead>
+                        <tr><th>Repository</th><th>Package</th><th>Source</th><th>Status</th><th>Issues</th></tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        `;
+
+        const tbody = container.querySelector('tbody');
+        entries.forEach(entry => tbody.appendChild(this.createRow(entry)));
+    }
+
+    /**
+     * Create the table row for one repository
+     * @param {object} entry - Diagnostics entry
+     * @returns {HTMLElement} - Table row
+     */
+    createRow(entry) {
+        const row = document.createElement('tr');
+        const hasWarnings = entry.status === 'loaded' && entry.warnings.length > 0;
+        row.className = `diagnostics-${hasWarnings ? 'warning' : entry.status}`;
+
+        row.innerHTML = `
+            <td class="diagnostics-repository"></td>
+            <td class="diagnostics-name"></td>
+            <td>${safeHtml.escape(entry.source || '-')}</td>
+            <td><span class="status-badge">${this.statusLabels[entry.status]}</span></td>
+            <td><ul class="diagnostics-issues"></ul></td>
+        `;
+
+        // Keys of ref/path entries are not URLs, and invalid entries are raw repository.json content
+        const repository = row.querySelector('.diagnostics-repository');
+        const url = safeHtml.safeUrl(entry.url);
+        if (url) {
+            const link = document.createElement('a');
+            link.href = url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = entry.repository;
+            repository.appendChild(link);
+        } else {
+            repository.textContent = entry.repository;
+        }
+
+        // Names and messages come from third-party manifests
+        row.querySelector('.diagnostics-name').textContent = entry.name || '-';
+
+        const issues = row.querySelector('.diagnostics-issues');
+        const messages = [
+            ...entry.errors.map(message => `Error: ${message}`),
+            ...entry.warnings.map(message => `Warning: ${message}`)
+        ];
+        if (messages.length === 0) {
+            messages.push('No issues');
+        }
+        messages.forEach(message => {
+            const item = document.createElement('li');
+            item.textContent = message;
+            issues.appendChild(item);
+        });
+
+        return row;
+    }
+
+    /**
+     * Summarize entry counts by status
+     * @param {Array} entries - Diagnostics entries
+     * @returns {string} - Summary (e.g., "3 repositories: 2 loaded, 1 failed")
+     */
+    summarize(entries) {
+        const counts = {};
+        entries.forEach(entry => {
+            counts[entry.status] = (counts[entry.status] || 0) + 1;
+        });
+
+        const withWarnings = entries.filter(e => e.status === 'loaded' && e.warnings.length > 0).length;
+
+        const parts = Object.keys(this.statusLabels)
+            .filter(status => counts[status])
+            .map(status => `${counts[status]} ${this.statusLabels[status].toLowerCase()}`);
+        if (withWarnings) {
+            parts.push(`${withWarnings} with warnings`);
+        }
+
+        return `${entries.length} repositories: ${parts.join(', ')}`;
+    }
+}
+
+// Create global instance
+const diagnosticsView = new DiagnosticsView();
@@ -1,11 +1,29 @@
 /**
  * Download Counter Module
  * Fetches download counts from GitHub Releases API
+ * Release data is cached across page loads through packageCache
+ * Honors GitHub rate limits: backs off, retries and reports when the limit is hit
  */
 
 class DownloadCounter {
     constructor() {
-        this.cache = new Map();
+        this.tokenKey = 'unityforge-github-token';
+        this.maxRetries = 3;
+        this.maxRetryDelay = 10000; // Longer waits are reported instead of retried
+        this.pageSize = 100; // Most releases per API page
+
+        // Last known rate-limit state from X-RateLimit-* headers
+        this.rateLimit = {
+            limit: null,
+            remaining: null,
+            resetAt: null
+        };
+
+        // Called with the reset Date when the rate limit is exhausted
+        this.onRateLimit = null;
+
+        // Releases already resolved by the build-time catalog
+        this.preloaded = new Map();
     }
 
     /**
@@ -27,57 +45,392 @@ class DownloadCounter {
     }
 
     /**
-     * Fetch total download count from GitHub releases
+     * Fetch the full list of releases from GitHub
      * @param {string} releaseUrl - GitHub releases API URL
-     * @returns {Promise<number>} - Total download count
+     * @param {Function} onUpdate - Called with fresh releases if cached data was stale
+     * @returns {Promise<Array>} - Releases as returned by the GitHub API
      */
-    async fetchDownloadCount(releaseUrl) {
-        // Check cache first
-        if (this.cache.has(releaseUrl)) {
-            return this.cache.get(releaseUrl);
+    async fetchReleases(releaseUrl, onUpdate) {
+        if (this.preloaded.has(releaseUrl)) {
+            return this.preloaded.get(releaseUrl);
         }
 
         try {
-            const response = await fetch(releaseUrl, {
-                headers: {
-                    'Accept': 'application/vnd.github.v3+json'
-                }
+            return await packageCache.fetchJSON(releaseUrl, {
+                kind: 'releases',
+                headers: this.buildHeaders(),
+                onUpdate,
+                fetcher: (url, options) => this.fetchAllPages(url, options)
             });
+        } catch (error) {
+            throw new Error(`GitHub API error: ${error.message}`);
+        }
+    }
 
-            if (!response.ok) {
-                throw new Error(`GitHub API error: ${response.status}`);
+    /**
+     * Fetch every page of a releases list, following the Link header
+     * @param {string} releaseUrl - GitHub releases API URL
+     * @param {object} options - fetch options
+     * @returns {Promise<object>} - Response-like object with all releases, or the first page's response if not ok
+     */
+    async fetchAllPages(releaseUrl, options = {}) {
+        const response = await this.fetchWithBackoff(this.getPageUrl(releaseUrl), options);
+        let nextUrl = this.getNextPageUrl(response);
+        if (!response.ok || !nextUrl) {
+            return response;
+        }
+
+        const releases = await response.json();
+        // Later pages are fetched in full, without the first page's validator
+        const pageOptions = { ...options, headers: { ...options.headers } };
+        delete pageOptions.headers['If-None-Match'];
+
+        while (nextUrl) {
+            const page = await this.fetchWithBackoff(nextUrl, pageOptions);
+            if (!page.ok) {
+                return page;
             }
+            releases.push(...await page.json());
+            nextUrl = this.getNextPageUrl(page);
+        }
 
-            const releases = await response.json();
-            let totalDownloads = 0;
+        // Older releases can change without the first page's ETag changing, so none is kept
+        return {
+            ok: true,
+            status: 200,
+            statusText: 'OK',
+            headers: { get: () => null },
+            json: async () => releases
+        };
+    }
 
-            // Sum up all asset downloads from all releases
-            releases.forEach(release => {
-                if (release.assets && Array.isArray(release.assets)) {
-                    release.assets.forEach(asset => {
-                        totalDownloads += asset.download_count || 0;
-                    });
-                }
-            });
+    /**
+     * Ask for the largest page the API allows
+     * @param {string} releaseUrl - GitHub releases API URL
+     * @returns {string} - URL with per_page set
+     */
+    getPageUrl(releaseUrl) {
+        const url = new URL(releaseUrl);
+        if (!url.searchParams.has('per_page')) {
+            url.searchParams.set('per_page', this.pageSize);
+        }
+        return url.toString();
+    }
 
-            // Cache the result
-            this.cache.set(releaseUrl, totalDownloads);
+    /**
+     * Read the next page from a Link header
+     * @param {Response} response - GitHub API response
+     * @returns {string|null} - Next page URL, or null on the last page
+     */
+    getNextPageUrl(response) {
+        const link = response.headers.get('Link');
+        const match = link && link.match(/<([^>]+)>;\s*rel="next"/);
+        return match ? match[1] : null;
+    }
 
-            return totalDownloads;
+    /**
+     * Use releases resolved ahead of time instead of calling the API
+     * @param {string} releaseUrl - GitHub releases API URL
+     * @param {Array} releases - Releases as returned by the GitHub API
+     */
+    preload(releaseUrl, releases) {
+        this.preloaded.set(releaseUrl, releases);
+    }
 
+    /**
+     * Fetch total download count from GitHub releases
+     * @param {string} releaseUrl - GitHub releases API URL
+     * @param {Function} onUpdate - Called with the fresh count if cached data was stale
+     * @returns {Promise<number|null>} - Total download count, or null if unavailable
+     */
+    async fetchDownloadCount(releaseUrl, onUpdate) {
+        try {
+            const releases = await this.fetchReleases(releaseUrl,
+                onUpdate && (fresh => onUpdate(this.sumDownloads(fresh))));
+            return this.sumDownloads(releases);
         } catch (error) {
             console.error('Error fetching download count:', error);
-            return 0; // Return 0 if error occurs
+            return null; // Unknown, not zero
+        }
+    }
+
+    /**
+     * Fetch download total and latest release date
+     * @param {string} releaseUrl - GitHub releases API URL
+     * @param {Function} onUpdate - Called with fresh stats if cached data was stale
+     * @returns {Promise<object>} - {downloads, latestReleaseAt}; downloads is null if unavailable
+     */
+    async fetchReleaseStats(releaseUrl, onUpdate) {
+        try {
+            const releases = await this.fetchReleases(releaseUrl,
+                onUpdate && (fresh => onUpdate(this.getReleaseStats(fresh))));
+            return this.getReleaseStats(releases);
+        } catch (error) {
+            console.error('Error fetching release stats:', error);
+            return { downloads: null, latestReleaseAt: null };
+        }
+    }
+
+    /**
+     * Summarize a release list
+     * @param {Array} releases - Releases from the GitHub API
+     * @returns {object} - {downloads, latestReleaseAt}
+     */
+    getReleaseStats(releases) {
+        const dates = releases
+            .map(release => Date.parse(release.published_at))
+            .filter(time => !isNaN(time));
+
+        return {
+            downloads: this.sumDownloads(releases),
+            latestReleaseAt: dates.length > 0 ? new Date(Math.max(...dates)) : null
+        };
+    }
+
+    /**
+     * Break a release list down by release and by asset
+     * Assets are grouped by name with version numbers replaced, so "Tool-1.2.0.unitypackage"
+     * and "Tool-1.3.0.unitypackage" count as the same download across releases.
+     * @param {Array} releases - Releases from the GitHub API
+     * @returns {object} - {total, releases, assets, latest}; releases are oldest first,
+     *   assets are most downloaded first, latest is {tag, downloads, share} or null
+     */
+    getBreakdown(releases) {
+        const published = releases
+            .filter(release => !release.draft)
+            .map(release => ({
+                tag: release.tag_name,
+                name: release.name,
+                prerelease: Boolean(release.prerelease),
+                publishedAt: isNaN(Date.parse(release.published_at)) ? null : new Date(release.published_at),
+                downloads: this.sumAssetDownloads(release),
+                assets: (Array.isArray(release.assets) ? release.assets : []).map(asset => ({
+                    name: asset.name,
+                    downloads: asset.download_count || 0
+                }))
+            }))
+            .sort((a, b) => (a.publishedAt || 0) - (b.publishedAt || 0));
+
+        const total = published.reduce((sum, release) => sum + release.downloads, 0);
+
+        const assets = new Map();
+        published.forEach(release => release.assets.forEach(asset => {
+            const name = this.getAssetPattern(asset.name);
+            const entry = assets.get(name) || { name, downloads: 0, releases: 0 };
+            entry.downloads += asset.downloads;
+            entry.releases++;
+            assets.set(name, entry);
+        }));
+
+        // The newest stable release, or the newest pre-release if there is nothing else
+        const stable = published.filter(release => !release.prerelease);
+        const candidates = stable.length > 0 ? stable : published;
+        const latest = candidates[candidates.length - 1];
+
+        return {
+            total,
+            releases: published,
+            assets: Array.from(assets.values()).sort((a, b) => b.downloads - a.downloads),
+            latest: latest
+                ? { tag: latest.tag, downloads: latest.downloads, share: total > 0 ? latest.downloads / total : 0 }
+                : null
+        };
+    }
+
+    /**
+     * Replace version numbers in an asset name
+     * @param {string} name - Asset file name, e.g. "Tool-v1.2.0.unitypackage"
+     * @returns {string} - Pattern, e.g. "Tool-{version}.unitypackage"
+     */
+    getAssetPattern(name) {
+        return String(name || 'unnamed').replace(/v?\d+(?:\.\d+){1,3}(?:-[0-9A-Za-z]+(?:\.\d+)*)?/g, '{version}');
+    }
+
+    /**
+     * Build GitHub API request headers, including the personal token if set
+     * @returns {object} - Request headers
+     */
+    buildHeaders() {
+        const headers = {
+            'Accept': 'application/vnd.github.v3+json'
+        };
+
+        const token = this.getToken();
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Fetch from the GitHub API, backing off and retrying when rate limited
+     * @param {string} url - GitHub API URL
+     * @param {object} options - fetch options
+     * @param {number} attempt - Current retry attempt
+     * @returns {Promise<Response>} - Final response
+     */
+    async fetchWithBackoff(url, options = {}, attempt = 0) {
+        // Don't spend requests we know will be rejected
+        if (this.isExhausted()) {
+            this.notifyRateLimit();
+            throw new Error(`rate limit exceeded until ${this.rateLimit.resetAt.toLocaleTimeString()}`);
         }
+
+        const response = await fetch(url, options);
+        this.readRateLimit(response);
+
+        if (!this.isRateLimited(response)) {
+            return response;
+        }
+
+        const delay = this.getRetryDelay(response, attempt);
+        if (delay === null) {
+            this.notifyRateLimit();
+            return response;
+        }
+
+        console.warn(`GitHub API rate limited, retrying in ${Math.ceil(delay / 1000)}s`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return this.fetchWithBackoff(url, options, attempt + 1);
+    }
+
+    /**
+     * Record the rate-limit state from response headers
+     * @param {Response} response - GitHub API response
+     */
+    readRateLimit(response) {
+        const limit = response.headers.get('X-RateLimit-Limit');
+        const remaining = response.headers.get('X-RateLimit-Remaining');
+        const reset = response.headers.get('X-RateLimit-Reset');
+
+        if (limit !== null) this.rateLimit.limit = parseInt(limit, 10);
+        if (remaining !== null) this.rateLimit.remaining = parseInt(remaining, 10);
+        if (reset !== null) this.rateLimit.resetAt = new Date(parseInt(reset, 10) * 1000);
+    }
+
+    /**
+     * Check whether a response was rejected by the rate limiter
+     * @param {Response} response - GitHub API response
+     * @returns {boolean} - True if rate limited
+     */
+    isRateLimited(response) {
+        if (response.status === 429) return true;
+        if (response.status !== 403) return false;
+
+        // 403 is also used for other errors, so only trust the rate-limit headers
+        return response.headers.get('Retry-After') !== null ||
+            response.headers.get('X-RateLimit-Remaining') === '0';
+    }
+
+    /**
+     * Check whether the known rate limit is used up and not yet reset
+     * @returns {boolean} - True if no requests remain
+     */
+    isExhausted() {
+        return this.rateLimit.remaining === 0 &&
+            this.rateLimit.resetAt !== null &&
+            this.rateLimit.resetAt > new Date();
+    }
+
+    /**
+     * Work out how long to wait before retrying a rate-limited request
+     * @param {Response} response - Rate-limited response
+     * @param {number} attempt - Current retry attempt
+     * @returns {number|null} - Delay in milliseconds, or null to give up
+     */
+    getRetryDelay(response, attempt) {
+        if (attempt >= this.maxRetries) return null;
+
+        let delay;
+        const retryAfter = response.headers.get('Retry-After');
+
+        if (retryAfter !== null) {
+            delay = parseInt(retryAfter, 10) * 1000;
+        } else if (this.rateLimit.remaining === 0 && this.rateLimit.resetAt) {
+            delay = this.rateLimit.resetAt - Date.now();
+        } else {
+            // Secondary rate limit without hints: exponential backoff
+            delay = 1000 * Math.pow(2, attempt);
+        }
+
+        return delay > this.maxRetryDelay ? null : Math.max(delay, 0);
+    }
+
+    /**
+     * Tell the page the rate limit is exhausted
+     */
+    notifyRateLimit() {
+        if (this.onRateLimit) {
+            this.onRateLimit(this.rateLimit.resetAt);
+        }
+    }
+
+    /**
+     * Get the personal GitHub token from localStorage
+     * @returns {string|null} - Token or null
+     */
+    getToken() {
+        try {
+            return localStorage.getItem(this.tokenKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Store a personal GitHub token in localStorage to raise the rate limit
+     * @param {string} token - Token, or empty to remove it
+     */
+    setToken(token) {
+        if (token) {
+            localStorage.setItem(this.tokenKey, token);
+        } else {
+            localStorage.removeItem(this.tokenKey);
+        }
+
+        // A new token comes with a new limit
+        this.rateLimit.remaining = null;
+        this.rateLimit.resetAt = null;
+    }
+
+    /**
+     * Sum up all asset downloads from all releases
+     * @param {Array} releases - Releases from the GitHub API
+     * @returns {number} - Total download count
+     */
+    sumDownloads(releases) {
+        let totalDownloads = 0;
+
+        releases.forEach(release => {
+            totalDownloads += this.sumAssetDownloads(release);
+        });
+
+        return totalDownloads;
+    }
+
+    /**
+     * Sum up asset downloads for a single release
+     * @param {object} release - Release from the GitHub API
+     * @returns {number} - Download count for the release
+     */
+    sumAssetDownloads(release) {
+        if (!release.assets || !Array.isArray(release.assets)) {
+            return 0;
+        }
+
+        return release.assets.reduce((total, asset) => total + (asset.download_count || 0), 0);
     }
 
     /**
      * Format download count for display
-     * @param {number} count - Download count
+     * @param {number|null} count - Download count, null if unavailable
      * @returns {string} - Formatted count (e.g., "1.2K", "3.5M")
      */
     formatCount(count) {
-        if (count >= 1000000) {
+        if (count === null || count === undefined) {
+            return 'unavailable';
+        } else if (count >= 1000000) {
             return (count / 1000000).toFixed(1) + 'M';
         } else if (count >= 1000) {
             return (count / 1000).toFixed(1) + 'K';
@@ -89,9 +442,14 @@ class DownloadCounter {
      * Clear the cache
      */
     clearCache() {
-        this.cache.clear();
+        packageCache.clear();
     }
 }
 
 // Create global instance
-const downloadCounter = new DownloadCounter();
\ No newline at end of file
+const downloadCounter = new DownloadCounter();
+
+// Allow build scripts to reuse the counting logic under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DownloadCounter };
+}
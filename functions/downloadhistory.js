@@ -0,0 +1,89 @@
+/**
+ * Download History Module
+ * Reads the daily download snapshots in data/history.json (written by
+ * scripts/snapshot-downloads.js) for sparklines, weekly/monthly deltas and trending
+ */
+
+class DownloadHistory {
+    constructor() {
+        this.snapshots = []; // [{time, downloads}], oldest first
+        this.dayMs = 24 * 60 * 60 * 1000;
+
+        // Scheduled runs drift by a few minutes; a snapshot this close to the window still counts
+        this.tolerance = 12 * 60 * 60 * 1000;
+    }
+
+    /**
+     * Load the snapshot history
+     * @returns {Promise<void>} - Resolves even if the history is missing
+     */
+    async load() {
+        try {
+            const response = await fetch('data/history.json');
+
+            if (!response.ok) {
+                return;
+            }
+
+            const history = await response.json();
+            this.setSnapshots(history.snapshots);
+        } catch (error) {
+            console.warn('Download history unavailable:', error.message);
+        }
+    }
+
+    /**
+     * Store snapshots, skipping malformed ones
+     * @param {Array} snapshots - [{takenAt, downloads}] from history.json
+     */
+    setSnapshots(snapshots) {
+        this.snapshots = (Array.isArray(snapshots) ? snapshots : [])
+            .map(snapshot => ({
+                time: Date.parse(snapshot && snapshot.takenAt),
+                downloads: snapshot && snapshot.downloads
+            }))
+            .filter(snapshot => !isNaN(snapshot.time) &&
+                snapshot.downloads && typeof snapshot.downloads === 'object')
+            .sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Get the recorded totals of a package
+     * @param {string} name - Package name
+     * @param {number} days - How far back from the newest snapshot to go
+     * @returns {Array} - [{time, downloads}], oldest first
+     */
+    getSeries(name, days = 90) {
+        if (this.snapshots.length === 0) {
+            return [];
+        }
+
+        const since = this.snapshots[this.snapshots.length - 1].time - days * this.dayMs - this.tolerance;
+
+        return this.snapshots
+            .filter(snapshot => snapshot.time >= since && typeof snapshot.downloads[name] === 'number')
+            .map(snapshot => ({ time: snapshot.time, downloads: snapshot.downloads[name] }));
+    }
+
+    /**
+     * Downloads gained over a period, measured between snapshots
+     * @param {string} name - Package name
+     * @param {number} days - Period length, e.g. 7 or 30
+     * @returns {number|null} - Gain, or null if the history does not reach back that far
+     */
+    getDelta(name, days) {
+        const series = this.getSeries(name, Infinity);
+        if (series.length < 2) {
+            return null;
+        }
+
+        const latest = series[series.length - 1];
+        const cutoff = latest.time - days * this.dayMs + this.tolerance;
+        const baseline = series.filter(point => point.time <= cutoff).pop();
+
+        return baseline ? latest.downloads - baseline.downloads : null;
+    }
+}
+
+// Create global instance
+const downloadHistory = new DownloadHistory();
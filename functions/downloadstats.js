@@ -0,0 +1,200 @@
+/**
+ * Download Stats Module
+ * Download statistics per package (by release and by asset) and a catalog-wide leaderboard
+ */
+
+class DownloadStats {
+    constructor() {
+        // Called with a package, resolves to its releases (newest first)
+        this.fetchReleases = null;
+
+        // Packages shown in the leaderboard chart; the table lists them all
+        this.chartSize = 10;
+    }
+
+    /**
+     * Render the statistics panel of one package
+     * @param {HTMLElement} container - Element to render into
+     * @param {Array|null} releases - Releases from the GitHub API, null if unavailable
+     */
+    renderPackage(container, releases) {
+        if (!releases) {
+            container.innerHTML = '<p class="detail-empty">Download statistics are not available for this package.</p>';
+            return;
+        }
+
+        const breakdown = downloadCounter.getBreakdown(releases);
+        if (breakdown.releases.length === 0) {
+            container.innerHTML = '<p class="detail-empty">No releases published yet.</p>';
+            return;
+        }
+
+        const esc = (value) => safeHtml.escape(value);
+        const latest = breakdown.latest;
+
+        container.innerHTML = `
+            <div class="stats-summary">
+                <div class="stats-total">
+                    <span class="stats-number">${breakdown.total.toLocaleString()}</span>
+                    <span class="stats-caption">downloads across ${breakdown.releases.length} release${breakdown.releases.length === 1 ? '' : 's'}</span>
+                </div>
+                <div class="stats-share">
+                    ${svgChart.donut(latest.share, this.formatShare(latest.share))}
+                    <span class="stats-caption">on the latest version, ${esc(latest.tag)}<br>(${latest.downloads.toLocaleString()} downloads)</span>
+                </div>
+            </div>
+
+            <h4>Downloads by release</h4>
+            <div class="chart-scroll">
+                ${svgChart.barChart(breakdown.releases.map(release => ({
+                    label: release.tag,
+                    value: release.downloads,
+                    highlight: release.tag === latest.tag
+                })), { formatValue: (value) => downloadCounter.formatCount(value) })}
+            </div>
+
+            <div class="stats-tables">
+                <div>
+                    <h4>By release</h4>
+                    <table class="asset-table stats-table">
+                        <thead><tr><th>Release</th><th>Published</th><th>Downloads</th><th>Share</th></tr></thead>
+                        <tbody>${breakdown.releases.slice().reverse().map(release => `
+                            <tr>
+                                <td>${esc(release.tag)}${release.prerelease ? ' <span class="status-badge">pre-release</span>' : ''}</td>
+                                <td>${release.publishedAt ? release.publishedAt.toLocaleDateString() : '-'}</td>
+                                <td>${release.downloads.toLocaleString()}</td>
+                                <td>${this.formatShare(breakdown.total > 0 ? release.downloads / breakdown.total : 0)}</td>
+                            </tr>
+                        `).join('')}</tbody>
+                    </table>
+                </div>
+                <div>
+                    <h4>By asset</h4>
+                    ${breakdown.assets.length === 0 ? '<p class="detail-empty">No release assets.</p>' : `
+                    <table class="asset-table stats-table">
+                        <thead><tr><th>Asset</th><th>Releases</th><th>Downloads</th><th>Share</th></tr></thead>
+                        <tbody>${breakdown.assets.map(asset => `
+                            <tr>
+                                <td>${esc(asset.name)}</td>
+                                <td>${asset.releases}</td>
+                                <td>${asset.downloads.toLocaleString()}</td>
+                                <td>${this.formatShare(breakdown.total > 0 ? asset.downloads / breakdown.total : 0)}</td>
+                            </tr>
+                        `).join('')}</tbody>
+                    </table>`}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the catalog-wide download leaderboard
+     * @param {Array} packages - Packages whose host reports download counts
+     */
+    async render(packages) {
+        const container = document.getElementById('statsView');
+
+        container.innerHTML = `
+            <div class="detail-section">
+                <h3>Download Leaderboard</h3>
+                <div class="stats-leaderboard">
+                    <div class="loading">
+                        <div class="spinner"></div>
+                        <p>Loading release data for ${packages.length} packages...</p>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const entries = await Promise.all(packages.map(async pkg => {
+            try {
+                const releases = this.fetchReleases ? await this.fetchReleases(pkg) : [];
+                return { pkg, breakdown: downloadCounter.getBreakdown(releases) };
+            } catch (error) {
+                console.error(`Error loading releases for ${pkg.name}:`, error);
+                return { pkg, breakdown: null };
+            }
+        }));
+
+        this.renderLeaderboard(container.querySelector('.stats-leaderboard'), entries);
+    }
+
+    /**
+     * Render the ranked packages
+     * @param {HTMLElement} board - Element to render into
+     * @param {Array} entries - [{pkg, breakdown}]; breakdown is null if releases failed to load
+     */
+    renderLeaderboard(board, entries) {
+        const ranked = entries
+            .filter(entry => entry.breakdown)
+            .sort((a, b) => b.breakdown.total - a.breakdown.total ||
+                (a.pkg.displayName || a.pkg.name).localeCompare(b.pkg.displayName || b.pkg.name));
+        const failed = entries.length - ranked.length;
+        const total = ranked.reduce((sum, entry) => sum + entry.breakdown.total, 0);
+
+        if (ranked.length === 0) {
+            board.innerHTML = '<p class="detail-empty">No download statistics are available.</p>';
+            return;
+        }
+
+        board.innerHTML = `
+            <p class="stats-caption">
+                ${total.toLocaleString()} downloads across ${ranked.length} package${ranked.length === 1 ? '' : 's'}.
+                ${failed > 0 ? `Release data for ${failed} package${failed === 1 ? '' : 's'} could not be loaded.` : ''}
+            </p>
+            <div class="chart-scroll">
+                ${svgChart.horizontalBarChart(ranked.slice(0, this.chartSize).map(entry => ({
+                    label: entry.pkg.displayName || entry.pkg.name,
+                    value: entry.breakdown.total
+                })), { formatValue: (value) => downloadCounter.formatCount(value) })}
+            </div>
+            <table class="diagnostics-table stats-table">
+                <thead>
+                    <tr><th>#</th><th>Package</th><th>Downloads</th><th>Releases</th><th>Latest version</th><th>Share on latest</th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        `;
+
+        const tbody = board.querySelector('tbody');
+        ranked.forEach((entry, index) => tbody.appendChild(this.createRow(entry, index + 1)));
+    }
+
+    /**
+     * Create the leaderboard row for one package
+     * @param {object} entry - {pkg, breakdown}
+     * @param {number} rank - Position, starting at 1
+     * @returns {HTMLElement} - Table row
+     */
+    createRow(entry, rank) {
+        const { pkg, breakdown } = entry;
+        const row = document.createElement('tr');
+
+        row.innerHTML = `
+            <td>${rank}</td>
+            <td><a class="stats-name" href="${safeHtml.escape(router.href('package', pkg.name))}"></a></td>
+            <td>${breakdown.total.toLocaleString()}</td>
+            <td>${breakdown.releases.length}</td>
+            <td class="stats-latest"></td>
+            <td>${breakdown.latest ? this.formatShare(breakdown.latest.share) : '-'}</td>
+        `;
+
+        // Names and tags come from third-party manifests and releases
+        row.querySelector('.stats-name').textContent = pkg.displayName || pkg.name;
+        row.querySelector('.stats-latest').textContent = breakdown.latest ? breakdown.latest.tag : '-';
+
+        return row;
+    }
+
+    /**
+     * Format a share as a percentage
+     * @param {number} fraction - Share between 0 and 1
+     * @returns {string} - e.g. "12.5%"
+     */
+    formatShare(fraction) {
+        return `${(fraction * 100).toFixed(fraction > 0 && fraction < 0.1 ? 1 : 0)}%`;
+    }
+}
+
+// Create global instance
+const downloadStats = new DownloadStats();
@@ -0,0 +1,181 @@
+/**
+ * Install Snippets Module
+ * Builds the Packages/manifest.json entries and commands that install a package in Unity:
+ *   "com.owner.tool": "https://github.com/owner/repo.git?path=/Packages/tool#v1.2.0"
+ *   openupm add com.owner.tool@1.2.0
+ *   a scopedRegistries block for packages published to a registry
+ */
+
+class InstallSnippets {
+    constructor() {
+        // Called with the snippet text when a copy button is clicked
+        this.onCopy = null;
+    }
+
+    /**
+     * List the versions a package can be pinned to
+     * @param {object} pkg - Package data
+     * @param {object} source - Resolved repository source (see repositoryResolver.resolve)
+     * @param {Array} releases - Releases from the GitHub API, newest first
+     * @returns {Array} - [{tag, version, label, prerelease}]; the last entry tracks the repository ref
+     */
+    getVersions(pkg, source, releases) {
+        const versions = releases
+            .filter(release => !release.draft && release.tag_name)
+            .map(release => ({
+                tag: release.tag_name,
+                version: this.tagToVersion(release.tag_name),
+                label: release.tag_name + (release.prerelease ? ' (pre-release)' : ''),
+                prerelease: Boolean(release.prerelease)
+            }));
+
+        versions.push({
+            tag: source.ref,
+            version: pkg.version,
+            label: `${source.ref} (latest commit)`,
+            prerelease: false
+        });
+
+        return versions;
+    }
+
+    /**
+     * Turn a release tag into a package version, e.g. "v1.2.0" -> "1.2.0"
+     * @param {string} tag - Release tag
+     * @returns {string|null} - Version, or null if the tag is not a version
+     */
+    tagToVersion(tag) {
+        return semver.parse(tag) ? tag.replace(/^v/, '') : null;
+    }
+
+    /**
+     * Build the UPM git URL for a version
+     * @param {object} source - Resolved repository source
+     * @param {string} tag - Tag or branch to pin
+     * @returns {string|null} - Git URL, or null if the host has no git access
+     */
+    getGitUrl(source, tag) {
+        if (!source.gitUrl) {
+            return null;
+        }
+
+        const path = source.path ? `?path=/${source.path}` : '';
+        return `${source.gitUrl}${path}${tag ? `#${tag}` : ''}`;
+    }
+
+    /**
+     * Build every install snippet available for a version
+     * @param {object} pkg - Package data
+     * @param {object} source - Resolved repository source
+     * @param {object} version - Entry from getVersions
+     * @returns {Array} - [{label, text}]
+     */
+    getSnippets(pkg, source, version) {
+        const snippets = [];
+
+        const gitUrl = this.getGitUrl(source, version.tag);
+        if (gitUrl) {
+            snippets.push({
+                label: 'Git URL: add to "dependencies" in Packages/manifest.json',
+                text: `${JSON.stringify(pkg.name)}: ${JSON.stringify(gitUrl)}`
+            });
+        }
+
+        // Registries serve versions, not tags
+        const registryVersion = version.version || pkg.version;
+        if (source.registry) {
+            if (source.registry.openupm) {
+                snippets.push({
+                    label: 'OpenUPM CLI: run in the project folder',
+                    text: `openupm add ${pkg.name}@${registryVersion}`
+                });
+            }
+
+            snippets.push({
+                label: 'Scoped registry: merge into Packages/manifest.json',
+                text: JSON.stringify({
+                    scopedRegistries: [{
+                        name: source.registry.name,
+                        url: source.registry.url,
+                        scopes: [pkg.name]
+                    }],
+                    dependencies: {
+                        [pkg.name]: registryVersion
+                    }
+                }, null, 2)
+            });
+        }
+
+        return snippets;
+    }
+
+    /**
+     * Check whether a package can be installed with any snippet
+     * @param {object|null} source - Resolved repository source
+     * @returns {boolean} - True if a git URL or registry is available
+     */
+    isAvailable(source) {
+        return Boolean(source && (source.gitUrl || source.registry));
+    }
+
+    /**
+     * Render the version picker and snippets into a panel
+     * @param {HTMLElement} panel - Element to render into
+     * @param {object} pkg - Package data
+     * @param {object} source - Resolved repository source
+     * @param {Array} releases - Releases from the GitHub API
+     */
+    render(panel, pkg, source, releases) {
+        const versions = this.getVersions(pkg, source, releases);
+
+        panel.innerHTML = `
+            <label class="install-version">
+                Version
+                <select class="install-version-select"></select>
+            </label>
+            <div class="install-snippets"></div>
+        `;
+
+        const select = panel.querySelector('.install-version-select');
+        versions.forEach((version, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = version.label;
+            select.appendChild(option);
+        });
+
+        const showSnippets = () => {
+            const list = panel.querySelector('.install-snippets');
+            list.innerHTML = '';
+
+            this.getSnippets(pkg, source, versions[select.value]).forEach(snippet => {
+                const item = document.createElement('div');
+                item.className = 'install-snippet';
+                item.innerHTML = `
+                    <div class="install-snippet-header">
+                        <span class="install-label"></span>
+                        <button class="copy-btn" title="Copy to clipboard">
+                            <i class="fas fa-copy"></i> Copy
+                        </button>
+                    </div>
+                    <pre class="install-code"></pre>
+                `;
+                item.querySelector('.install-label').textContent = snippet.label;
+                item.querySelector('.install-code').textContent = snippet.text;
+                item.querySelector('.copy-btn').addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    if (this.onCopy) {
+                        this.onCopy(snippet.text);
+                    }
+                });
+                list.appendChild(item);
+            });
+        };
+
+        select.addEventListener('change', showSnippets);
+        showSnippets();
+    }
+}
+
+// Create global instance
+const installSnippets = new InstallSnippets();
@@ -0,0 +1,157 @@
+/**
+ * Manifest Export Module
+ * Turns a selection of packages into Packages/manifest.json entries
+ *
+ * Catalog dependencies of selected packages are added automatically, since
+ * the Unity Package Manager does not resolve git dependencies by itself.
+ * Registry packages are pinned to a version and get a scopedRegistries entry;
+ * git packages are pinned to their latest release tag.
+ */
+
+class ManifestExport {
+    /**
+     * Expand a selection with the catalog packages it depends on
+     * @param {Array} names - Selected package names
+     * @returns {object} - {packages, added, missing}; missing lists [{name, by}] not in the catalog
+     */
+    resolveSelection(names) {
+        const packages = [];
+        const added = [];
+        const missing = [];
+        const seen = new Set();
+
+        const visit = (name, by) => {
+            if (seen.has(name)) return;
+            seen.add(name);
+
+            const pkg = dependencyGraph.packages.get(name);
+            if (!pkg) {
+                missing.push({ name, by });
+                return;
+            }
+
+            packages.push(pkg);
+            if (by) {
+                added.push(name);
+            }
+
+            // Unity registry packages install their own way
+            dependencyGraph.getDependencies(pkg)
+                .filter(dependency => dependency.status !== 'external')
+                .forEach(dependency => visit(dependency.name, pkg.name));
+        };
+
+        names.forEach(name => visit(name, null));
+
+        return { packages, added, missing };
+    }
+
+    /**
+     * Build the manifest.json entry for one package
+     * @param {object} pkg - Package data
+     * @param {object|null} source - Resolved repository source (see repositoryResolver.resolve)
+     * @param {Array} releases - Releases from the GitHub API, newest first
+     * @returns {object|null} - {value, registry}, or null if the package cannot be installed
+     */
+    getEntry(pkg, source, releases) {
+        if (!installSnippets.isAvailable(source)) {
+            return null;
+        }
+
+        // Latest stable release, falling back to the tracked branch
+        const versions = installSnippets.getVersions(pkg, source, releases);
+        const version = versions.find(v => !v.prerelease) || versions[0];
+
+        if (source.registry) {
+            return { value: version.version || pkg.version, registry: source.registry };
+        }
+
+        return { value: installSnippets.getGitUrl(source, version.tag), registry: null };
+    }
+
+    /**
+     * Build a manifest fragment from resolved entries
+     * @param {Array} entries - [{name, value, registry}]
+     * @returns {object} - {dependencies, scopedRegistries?}
+     */
+    buildManifest(entries) {
+        const manifest = { dependencies: {} };
+
+        entries.forEach(entry => {
+            manifest.dependencies[entry.name] = entry.value;
+            if (entry.registry) {
+                this.addScope(manifest, entry.registry, entry.name);
+            }
+        });
+
+        return manifest;
+    }
+
+    /**
+     * Merge an exported fragment into an existing manifest.json
+     * Selected packages replace existing entries of the same name
+     * @param {object} manifest - Parsed Packages/manifest.json
+     * @param {object} exported - Fragment from buildManifest
+     * @returns {object} - Patched copy
+     */
+    merge(manifest, exported) {
+        if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+            throw new Error('manifest.json must contain a JSON object');
+        }
+
+        const patched = JSON.parse(JSON.stringify(manifest));
+        patched.dependencies = Object.assign({}, patched.dependencies, exported.dependencies);
+
+        (exported.scopedRegistries || []).forEach(registry => {
+            registry.scopes.forEach(scope => this.addScope(patched, registry, scope));
+        });
+
+        return patched;
+    }
+
+    /**
+     * Add a scope to the matching scoped registry, creating it if needed
+     * @param {object} manifest - Manifest to modify
+     * @param {object} registry - {name, url}
+     * @param {string} scope - Package name or prefix
+     */
+    addScope(manifest, registry, scope) {
+        if (!Array.isArray(manifest.scopedRegistries)) {
+            manifest.scopedRegistries = [];
+        }
+
+        let existing = manifest.scopedRegistries.find(r => r.url === registry.url);
+        if (!existing) {
+            existing = { name: registry.name, url: registry.url, scopes: [] };
+            manifest.scopedRegistries.push(existing);
+        }
+        if (!Array.isArray(existing.scopes)) {
+            existing.scopes = [];
+        }
+        if (!existing.scopes.includes(scope)) {
+            existing.scopes.push(scope);
+        }
+    }
+
+    /**
+     * Offer JSON as a file download
+     * @param {string} filename - Suggested file name
+     * @param {object} data - Data to save
+     */
+    download(filename, data) {
+        const blob = new Blob([JSON.stringify(data, null, 2) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Create global instance
+const manifestExport = new ManifestExport();
@@ -0,0 +1,227 @@
+/**
+ * Manifest Validator Module
+ * Checks package.json files against the catalog schema and normalizes them
+ *
+ * Schema (fields the site relies on):
+ *   name           string, required        - UPM package name, e.g. "com.unityforge.rest-api"
+ *   version        string, required        - Semantic version, e.g. "1.2.0"
+ *   displayName    string                  - Defaults to name
+ *   description    string                  - Defaults to ""
+ *   status         string                  - e.g. "stable", "beta"
+ *   keywords       string[]                - Tags; the older "tags" field is accepted as a fallback
+ *   author         string | { name, email?, url? }
+ *   icon           string                  - Image URL, http(s) only
+ *   unity          string                  - Minimum editor version, e.g. "2021.3"
+ *   unityRelease   string                  - Minimum editor patch, e.g. "0f1"
+ *   dependencies   { [name]: version }
+ *   links          { download?, github?, documentation?, release? } - http(s) URLs
+ *
+ * Missing required fields exclude the package. Anything else that is malformed
+ * is dropped or defaulted, with a warning explaining what changed.
+ */
+
+class ManifestValidator {
+    constructor() {
+        this.linkFields = ['download', 'github', 'documentation', 'release'];
+        this.optionalStringFields = ['status', 'icon', 'unity', 'unityRelease'];
+    }
+
+    /**
+     * Validate and normalize a manifest
+     * @param {any} manifest - Parsed package.json
+     * @returns {object} - {valid, manifest, errors, warnings}; manifest is the normalized copy
+     */
+    validate(manifest) {
+        const errors = [];
+        const warnings = [];
+
+        if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+            return { valid: false, manifest: null, errors: ['package.json is not a JSON object'], warnings };
+        }
+
+        const pkg = { ...manifest };
+
+        // Required fields
+        if (typeof pkg.name !== 'string' || !pkg.name.trim()) {
+            errors.push('"name" is required and must be a non-empty string');
+        }
+        if (typeof pkg.version !== 'string' || !pkg.version.trim()) {
+            errors.push('"version" is required and must be a non-empty string');
+        }
+
+        // Display fields
+        if (pkg.displayName !== undefined && typeof pkg.displayName !== 'string') {
+            warnings.push('"displayName" is not a string, using "name" instead');
+            delete pkg.displayName;
+        }
+        if (typeof pkg.description !== 'string') {
+            if (pkg.description !== undefined) {
+                warnings.push('"description" is not a string and was ignored');
+            } else {
+                warnings.push('"description" is missing');
+            }
+            pkg.description = '';
+        }
+
+        this.optionalStringFields.forEach(field => {
+            if (pkg[field] !== undefined && typeof pkg[field] !== 'string') {
+                warnings.push(`"${field}" is not a string and was ignored`);
+                delete pkg[field];
+            }
+        });
+
+        if (pkg.icon !== undefined && !this.isHttpUrl(pkg.icon)) {
+            warnings.push('"icon" is not an http(s) URL and was ignored');
+            delete pkg.icon;
+        }
+
+        pkg.keywords = this.normalizeKeywords(pkg, warnings);
+        delete pkg.tags;
+
+        this.normalizeAuthor(pkg, warnings);
+        this.normalizeLinks(pkg, warnings);
+        this.normalizeDependencies(pkg, warnings);
+
+        return {
+            valid: errors.length === 0,
+            manifest: errors.length === 0 ? pkg : null,
+            errors,
+            warnings
+        };
+    }
+
+    /**
+     * Read tags from keywords (new format) or tags (old format)
+     * @param {object} pkg - Manifest copy
+     * @param {Array} warnings - Warning list to append to
+     * @returns {Array} - Clean list of tag strings
+     */
+    normalizeKeywords(pkg, warnings) {
+        const field = pkg.keywords !== undefined ? 'keywords' : 'tags';
+        const tags = pkg[field];
+
+        if (tags === undefined) {
+            return [];
+        }
+        if (!Array.isArray(tags)) {
+            warnings.push(`"${field}" is not an array and was ignored`);
+            return [];
+        }
+
+        const clean = tags.filter(tag => typeof tag === 'string' && tag.trim());
+        if (clean.length !== tags.length) {
+            warnings.push(`${tags.length - clean.length} non-string or empty entries removed from "${field}"`);
+        }
+
+        return clean.map(tag => tag.trim());
+    }
+
+    /**
+     * Check the string-or-object author field
+     * @param {object} pkg - Manifest copy, modified in place
+     * @param {Array} warnings - Warning list to append to
+     */
+    normalizeAuthor(pkg, warnings) {
+        const author = pkg.author;
+
+        if (author === undefined || typeof author === 'string') {
+            return;
+        }
+
+        if (!author || typeof author !== 'object' || Array.isArray(author)) {
+            warnings.push('"author" must be a string or an object and was ignored');
+            delete pkg.author;
+            return;
+        }
+
+        const normalized = { ...author };
+        if (typeof normalized.name !== 'string' || !normalized.name.trim()) {
+            warnings.push('"author.name" is missing');
+            normalized.name = 'Unknown';
+        }
+        ['email', 'url'].forEach(field => {
+            if (normalized[field] !== undefined && typeof normalized[field] !== 'string') {
+                warnings.push(`"author.${field}" is not a string and was ignored`);
+                delete normalized[field];
+            }
+        });
+
+        pkg.author = normalized;
+    }
+
+    /**
+     * Check the links object
+     * @param {object} pkg - Manifest copy, modified in place
+     * @param {Array} warnings - Warning list to append to
+     */
+    normalizeLinks(pkg, warnings) {
+        if (pkg.links === undefined) {
+            pkg.links = {};
+            return;
+        }
+
+        if (!pkg.links || typeof pkg.links !== 'object' || Array.isArray(pkg.links)) {
+            warnings.push('"links" is not an object and was ignored');
+            pkg.links = {};
+            return;
+        }
+
+        const links = {};
+        Object.keys(pkg.links).forEach(key => {
+            const value = pkg.links[key];
+
+            if (typeof value !== 'string') {
+                warnings.push(`"links.${key}" is not a string and was ignored`);
+            } else if (!this.isHttpUrl(value)) {
+                warnings.push(`"links.${key}" is not an http(s) URL and was ignored`);
+            } else if (!this.linkFields.includes(key)) {
+                warnings.push(`"links.${key}" is not a known link and is not shown`);
+                links[key] = value;
+            } else {
+                links[key] = value;
+            }
+        });
+
+        pkg.links = links;
+    }
+
+    /**
+     * Check that a value is an absolute http(s) URL
+     * @param {string} value - URL to check
+     * @returns {boolean} - True if http(s)
+     */
+    isHttpUrl(value) {
+        return typeof value === 'string' && /^https?:\/\/\S+$/i.test(value.trim());
+    }
+
+    /**
+     * Check the dependencies map
+     * @param {object} pkg - Manifest copy, modified in place
+     * @param {Array} warnings - Warning list to append to
+     */
+    normalizeDependencies(pkg, warnings) {
+        if (pkg.dependencies === undefined) {
+            return;
+        }
+
+        if (!pkg.dependencies || typeof pkg.dependencies !== 'object' || Array.isArray(pkg.dependencies)) {
+            warnings.push('"dependencies" is not an object and was ignored');
+            delete pkg.dependencies;
+            return;
+        }
+
+        const dependencies = {};
+        Object.keys(pkg.dependencies).forEach(name => {
+            if (typeof pkg.dependencies[name] === 'string') {
+                dependencies[name] = pkg.dependencies[name];
+            } else {
+                warnings.push(`"dependencies.${name}" has no version string and was ignored`);
+            }
+        });
+
+        pkg.dependencies = dependencies;
+    }
+}
+
+// Create global instance
+const manifestValidator = new ManifestValidator();
@@ -0,0 +1,395 @@
+/**
+ * Markdown Renderer Module
+ * Converts README Markdown (CommonMark plus GitHub tables, strikethrough and task lists)
+ * into HTML. Inline HTML is allowed through, so the result is always passed through
+ * safeHtml.sanitize before it is returned.
+ */
+
+class MarkdownRenderer {
+    constructor() {
+        // Heading ids are prefixed so README anchors cannot clash with the page's own ids
+        this.idPrefix = 'readme-';
+
+        this.patterns = {
+            fence: /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/,
+            heading: /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/,
+            rule: /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/,
+            quote: /^ {0,3}> ?/,
+            listItem: /^( {0,3})([-*+]|\d{1,9}[.)])(?:\s+(.*))?$/,
+            html: /^ {0,3}<(?:\/?[a-zA-Z][\w-]*[\s\/>]|\/?[a-zA-Z][\w-]*$|!--)/,
+            tableDivider: /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/,
+            definition: /^ {0,3}\[([^\]]+)\]:\s*<?(\S+?)>?(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*$/
+        };
+    }
+
+    /**
+     * Render Markdown to sanitized HTML
+     * @param {string} markdown - Markdown source
+     * @param {object} options - {resolveUrl(url, attribute)} maps relative href/src values to absolute URLs
+     * @returns {string} - Sanitized HTML
+     */
+    render(markdown, { resolveUrl = () => null } = {}) {
+        this.slugs = new Map();
+        this.definitions = new Map();
+
+        // \u0000 marks inline placeholders, so it cannot appear in the source
+        const lines = String(markdown)
+            .replace(/\u0000/g, '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/\t/g, '    ')
+            .split('\n')
+            .filter(line => {
+                const match = line.match(this.patterns.definition);
+                if (match && !this.definitions.has(match[1].toLowerCase())) {
+                    this.definitions.set(match[1].toLowerCase(), match[2]);
+                }
+                return !match;
+            });
+
+        return safeHtml.sanitize(this.renderBlocks(lines), {
+            rewriteUrl: (url, attribute) => this.rewriteUrl(url, attribute, resolveUrl),
+            idPrefix: this.idPrefix
+        });
+    }
+
+    /**
+     * Point in-document anchors at prefixed heading ids and resolve relative paths
+     * @param {string} url - href or src value
+     * @param {string} attribute - "href" or "src"
+     * @param {Function} resolveUrl - Resolver for relative paths
+     * @returns {string|null} - URL, or null to drop it
+     */
+    rewriteUrl(url, attribute, resolveUrl) {
+        if (url.startsWith('#')) {
+            return attribute === 'href' && url.length > 1 ? `#${this.idPrefix}${url.substring(1)}` : null;
+        }
+
+        // Absolute URLs are left for safeHtml to accept or reject
+        if (/^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith('//')) {
+            return url;
+        }
+
+        return resolveUrl(url, attribute);
+    }
+
+    /**
+     * Render a sequence of lines as block elements
+     * @param {Array} lines - Source lines
+     * @param {boolean} tight - Render paragraphs without <p>, for tight list items
+     * @returns {string} - HTML
+     */
+    renderBlocks(lines, tight = false) {
+        const out = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(this.patterns.fence);
+            if (fence) {
+                const close = new RegExp(`^ {0,3}${fence[1][0]}{${fence[1].length},}\\s*$`);
+                const code = [];
+                i++;
+                while (i < lines.length && !close.test(lines[i])) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++;
+
+                const language = fence[2] ? ` class="language-${safeHtml.escape(fence[2])}"` : '';
+                out.push(`<pre><code${language}>${safeHtml.escape(code.join('\n'))}</code></pre>`);
+                continue;
+            }
+
+            const heading = line.match(this.patterns.heading);
+            if (heading) {
+                out.push(this.renderHeading(heading[1].length, heading[2] || ''));
+                i++;
+                continue;
+            }
+
+            if (this.patterns.rule.test(line)) {
+                out.push('<hr>');
+                i++;
+                continue;
+            }
+
+            if (this.patterns.quote.test(line)) {
+                const quoted = [];
+                while (i < lines.length && this.patterns.quote.test(lines[i])) {
+                    quoted.push(lines[i].replace(this.patterns.quote, ''));
+                    i++;
+                }
+                out.push(`<blockquote>${this.renderBlocks(quoted)}</blockquote>`);
+                continue;
+            }
+
+            if (this.patterns.listItem.test(line)) {
+                i = this.renderList(lines, i, out);
+                continue;
+            }
+
+            if (line.includes('|') && i + 1 < lines.length &&
+                lines[i + 1].includes('|') && this.patterns.tableDivider.test(lines[i + 1])) {
+                i = this.renderTable(lines, i, out);
+                continue;
+            }
+
+            // Raw HTML runs to the next blank line and is left for the sanitizer
+            if (this.patterns.html.test(line)) {
+                const html = [];
+                while (i < lines.length && lines[i].trim()) {
+                    html.push(lines[i]);
+                    i++;
+                }
+                out.push(html.join('\n'));
+                continue;
+            }
+
+            // Paragraph, or a setext heading when underlined with = or -
+            const text = [line.trim()];
+            i++;
+            let level = 0;
+            while (i < lines.length && lines[i].trim()) {
+                if (/^ {0,3}=+\s*$/.test(lines[i]) || /^ {0,3}-+\s*$/.test(lines[i])) {
+                    level = lines[i].trim()[0] === '=' ? 1 : 2;
+                    i++;
+                    break;
+                }
+                if (this.startsBlock(lines[i])) {
+                    break;
+                }
+                text.push(lines[i].trim());
+                i++;
+            }
+
+            if (level) {
+                out.push(this.renderHeading(level, text.join(' ')));
+            } else {
+                const inline = this.renderInline(text.join('\n'));
+                out.push(tight ? inline : `<p>${inline}</p>`);
+            }
+        }
+
+        return out.join('\n');
+    }
+
+    /**
+     * Check whether a line interrupts a paragraph
+     * @param {string} line - Source line
+     * @returns {boolean} - True if the line starts a new block
+     */
+    startsBlock(line) {
+        return this.patterns.fence.test(line) || this.patterns.heading.test(line) ||
+            this.patterns.rule.test(line) || this.patterns.quote.test(line) ||
+            this.patterns.html.test(line) ||
+            (this.patterns.listItem.test(line) && Boolean(line.match(this.patterns.listItem)[3]));
+    }
+
+    /**
+     * Render a heading with a GitHub-style anchor id
+     * @param {number} level - 1 to 6
+     * @param {string} text - Heading text
+     * @returns {string} - HTML
+     */
+    renderHeading(level, text) {
+        return `<h${level} id="${safeHtml.escape(this.idPrefix + this.slugify(text))}">${this.renderInline(text)}</h${level}>`;
+    }
+
+    /**
+     * Build a unique anchor slug the way GitHub does, so README links to #sections keep working
+     * @param {string} text - Heading source text
+     * @returns {string} - Slug, with -1, -2, ... appended to repeats
+     */
+    slugify(text) {
+        const slug = text
+            .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/<[^>]*>/g, '')
+            .trim()
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+            .replace(/\s/g, '-');
+
+        const count = this.slugs.get(slug) || 0;
+        this.slugs.set(slug, count + 1);
+        return count === 0 ? slug : `${slug}-${count}`;
+    }
+
+    /**
+     * Render a list starting at a line, including nested lists and continuation lines
+     * @param {Array} lines - Source lines
+     * @param {number} start - Index of the first item
+     * @param {Array} out - Output HTML blocks
+     * @returns {number} - Index of the first line after the list
+     */
+    renderList(lines, start, out) {
+        const first = lines[start].match(this.patterns.listItem);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const items = [];
+        let loose = false;
+        let i = start;
+
+        const isSibling = (line) => {
+            const match = line.match(this.patterns.listItem);
+            return Boolean(match) && match[1].length <= indent + 1 && /\d/.test(match[2]) === ordered;
+        };
+
+        while (i < lines.length && isSibling(lines[i])) {
+            const match = lines[i].match(this.patterns.listItem);
+            const contentIndent = match[1].length + match[2].length + 1;
+            const body = [match[3] || ''];
+            i++;
+
+            while (i < lines.length) {
+                const line = lines[i];
+                const lineIndent = line.length - line.trimStart().length;
+
+                if (!line.trim()) {
+                    // A blank line continues the item only if indented content follows
+                    let next = i;
+                    while (next < lines.length && !lines[next].trim()) next++;
+                    const nextLine = lines[next] || '';
+                    if (next < lines.length && nextLine.length - nextLine.trimStart().length > indent + 1) {
+                        body.push('');
+                        loose = true;
+                        i++;
+                        continue;
+                    }
+                    break;
+                }
+
+                if (lineIndent > indent + 1) {
+                    body.push(line.substring(Math.min(lineIndent, contentIndent)));
+                } else if (!isSibling(line) && !this.startsBlock(line) && body[body.length - 1].trim()) {
+                    // Lazy continuation of the item's paragraph
+                    body.push(line.trim());
+                } else {
+                    break;
+                }
+                i++;
+            }
+
+            items.push(body);
+
+            // Blank lines between items make the list loose
+            let next = i;
+            while (next < lines.length && !lines[next].trim()) next++;
+            if (next > i && next < lines.length && isSibling(lines[next])) {
+                loose = true;
+                i = next;
+            }
+        }
+
+        const tag = ordered ? 'ol' : 'ul';
+        const startNumber = parseInt(first[2], 10);
+        const startAttribute = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+
+        const rendered = items.map(body => {
+            // Task list markers become check marks; the sanitizer drops form controls
+            const task = body[0].match(/^\[([ xX])\]\s+/);
+            if (task) {
+                body[0] = (task[1] === ' ' ? '☐ ' : '☑ ') + body[0].substring(task[0].length);
+            }
+            return `<li>${this.renderBlocks(body, !loose)}</li>`;
+        });
+
+        out.push(`<${tag}${startAttribute}>\n${rendered.join('\n')}\n</${tag}>`);
+        return i;
+    }
+
+    /**
+     * Render a pipe table starting at its header row
+     * @param {Array} lines - Source lines
+     * @param {number} start - Index of the header row
+     * @param {Array} out - Output HTML blocks
+     * @returns {number} - Index of the first line after the table
+     */
+    renderTable(lines, start, out) {
+        const split = (line) => line.trim()
+            .replace(/^\|/, '')
+            .replace(/(?<!\\)\|$/, '')
+            .split(/(?<!\\)\|/)
+            .map(cell => cell.trim().replace(/\\\|/g, '|'));
+
+        const aligns = split(lines[start + 1]).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            if (cell.startsWith(':')) return 'left';
+            return null;
+        });
+
+        const row = (cells, tag) => `<tr>${aligns.map((align, index) =>
+            `<${tag}${align ? ` align="${align}"` : ''}>${this.renderInline(cells[index] || '')}</${tag}>`
+        ).join('')}</tr>`;
+
+        const body = [];
+        let i = start + 2;
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+            body.push(row(split(lines[i]), 'td'));
+            i++;
+        }
+
+        out.push(`<table>\n<thead>${row(split(lines[start]), 'th')}</thead>\n<tbody>${body.join('\n')}</tbody>\n</table>`);
+        return i;
+    }
+
+    /**
+     * Render inline Markdown: code, links, images, emphasis and line breaks
+     * Code spans, links and images are swapped for placeholders first so emphasis
+     * never applies inside them.
+     * @param {string} text - Inline source
+     * @returns {string} - HTML
+     */
+    renderInline(text) {
+        const esc = (value) => safeHtml.escape(value);
+        const held = [];
+        const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+
+        const link = (label, url, title) =>
+            hold(`<a href="${esc(url)}"${title ? ` title="${esc(title)}"` : ''}>${this.renderEmphasis(label)}</a>`);
+        const image = (alt, url, title) =>
+            hold(`<img src="${esc(url)}" alt="${esc(alt)}"${title ? ` title="${esc(title)}"` : ''}>`);
+        const reference = (label, ref) => this.definitions.get((ref || label).toLowerCase());
+
+        let html = text
+            .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => hold(`<code>${esc(code.trim())}</code>`))
+            .replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, (match, char) => hold(esc(char)))
+            .replace(/<(https?:\/\/[^\s<>]+)>/g, (match, url) => link(esc(url), url))
+            .replace(/!\[([^\]]*)\]\(\s*<?((?:[^\s()<>]|\([^\s()]*\))*)>?(?:\s+"([^"]*)")?\s*\)/g, (match, alt, url, title) => image(alt, url, title))
+            .replace(/!\[([^\]]*)\]\[([^\]]*)\]/g, (match, alt, ref) => reference(alt, ref) ? image(alt, reference(alt, ref)) : match)
+            .replace(/\[((?:[^\[\]]|\[[^\]]*\])*)\]\(\s*<?((?:[^\s()<>]|\([^\s()]*\))*)>?(?:\s+"([^"]*)")?\s*\)/g, (match, label, url, title) => link(label, url, title))
+            .replace(/\[((?:[^\[\]]|\[[^\]]*\])*)\]\[([^\]]*)\]/g, (match, label, ref) => reference(label, ref) ? link(label, reference(label, ref)) : match)
+            .replace(/\[([^\[\]]+)\](?![(\[])/g, (match, label) => reference(label) ? link(label, reference(label)) : match)
+            .replace(/(^|[\s(])(https?:\/\/[^\s<]*[^\s<.,:;"')\]])/g, (match, before, url) => before + link(esc(url), url));
+
+        html = this.renderEmphasis(html).replace(/(?: {2,}|\\)\n/g, '<br>\n');
+
+        // Placeholders can nest, e.g. an image inside a link
+        while (/\u0000\d+\u0000/.test(html)) {
+            html = html.replace(/\u0000(\d+)\u0000/g, (match, index) => held[index]);
+        }
+        return html;
+    }
+
+    /**
+     * Render bold, italic and strikethrough
+     * @param {string} text - Inline source with code and links already held
+     * @returns {string} - HTML
+     */
+    renderEmphasis(text) {
+        return text
+            .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+            .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+    }
+}
+
+// Create global instance
+const markdownRenderer = new MarkdownRenderer();
@@ -0,0 +1,304 @@
+/**
+ * Outdated Checker Module
+ * Compares a project's Packages/manifest.json or packages-lock.json with the catalog
+ * Files are read and parsed in the browser; nothing is uploaded
+ */
+
+class OutdatedChecker {
+    constructor() {
+        // Called with a package, resolves to its releases (newest first)
+        this.fetchReleases = null;
+
+        this.statusLabels = {
+            outdated: 'Outdated',
+            current: 'Up to date',
+            unknown: 'Unknown version'
+        };
+    }
+
+    /**
+     * Render the upload form
+     * @param {Array} packages - Catalog packages
+     */
+    render(packages) {
+        const container = document.getElementById('outdatedView');
+
+        container.innerHTML = `
+            <div class="detail-section">
+                <h3>Check a Project for Updates</h3>
+                <label class="drop-zone">
+                    <input type="file" class="outdated-file" accept=".json,application/json" hidden>
+                    <i class="fas fa-file-upload"></i>
+                    <span>Drop <code>Packages/manifest.json</code> or <code>Packages/packages-lock.json</code> here, or click to choose a file</span>
+                    <small>The file is read in your browser and never uploaded.</small>
+                </label>
+            </div>
+            <div class="outdated-report"></div>
+        `;
+
+        const dropZone = container.querySelector('.drop-zone');
+        const input = container.querySelector('.outdated-file');
+
+        input.addEventListener('change', () => {
+            if (input.files.length > 0) {
+                this.checkFile(input.files[0], packages);
+            }
+        });
+
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('dragging');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragging'));
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('dragging');
+            if (e.dataTransfer.files.length > 0) {
+                this.checkFile(e.dataTransfer.files[0], packages);
+            }
+        });
+    }
+
+    /**
+     * Read, check and report on a project file
+     * @param {File} file - manifest.json or packages-lock.json
+     * @param {Array} packages - Catalog packages
+     */
+    async checkFile(file, packages) {
+        const report = document.querySelector('#outdatedView .outdated-report');
+        report.innerHTML = `
+            <div class="loading">
+                <div class="spinner"></div>
+                <p>Checking packages...</p>
+            </div>
+        `;
+
+        try {
+            const dependencies = this.parse(await file.text());
+            const result = await this.check(dependencies, packages);
+            this.renderReport(report, file.name, result);
+        } catch (error) {
+            console.error('Error checking project file:', error);
+            report.innerHTML = '<div class="error-message"></div>';
+            report.firstElementChild.textContent = `Could not check ${file.name}: ${error.message}`;
+        }
+    }
+
+    /**
+     * Parse manifest.json or packages-lock.json into installed dependencies
+     * @param {string} text - File contents
+     * @returns {Array} - [{name, installed, version}]; version is null if it cannot be determined
+     */
+    parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('not a JSON file');
+        }
+
+        if (!data || typeof data.dependencies !== 'object' || Array.isArray(data.dependencies)) {
+            throw new Error('no "dependencies" object found; expected Packages/manifest.json or packages-lock.json');
+        }
+
+        // packages-lock.json wraps each entry as {version, source, depth, ...}
+        return Object.entries(data.dependencies).map(([name, value]) => {
+            const installed = value && typeof value === 'object' ? value.version : value;
+            return {
+                name,
+                installed: typeof installed === 'string' ? installed : '',
+                version: this.getInstalledVersion(installed)
+            };
+        });
+    }
+
+    /**
+     * Work out the installed version from a dependency value
+     * @param {string} value - "1.2.0", "https://github.com/owner/repo.git#v1.2.0", "file:../tool", ...
+     * @returns {string|null} - Version, or null for branches, local paths and unpinned git URLs
+     */
+    getInstalledVersion(value) {
+        if (typeof value !== 'string') {
+            return null;
+        }
+        if (semver.parse(value)) {
+            return value.replace(/^v/, '');
+        }
+
+        const fragment = value.split('#')[1];
+        return fragment && semver.parse(fragment) ? fragment.replace(/^v/, '') : null;
+    }
+
+    /**
+     * Compare installed dependencies with the catalog
+     * @param {Array} dependencies - From parse
+     * @param {Array} packages - Catalog packages
+     * @returns {Promise<object>} - {outdated, current, unknown, unlisted}
+     */
+    async check(dependencies, packages) {
+        const catalog = new Map(packages.map(pkg => [pkg.name, pkg]));
+        const result = { outdated: [], current: [], unknown: [], unlisted: 0 };
+
+        const entries = await Promise.all(dependencies.map(async dependency => {
+            const pkg = catalog.get(dependency.name);
+            if (!pkg) {
+                return null;
+            }
+
+            let releases = [];
+            if (this.fetchReleases) {
+                try {
+                    releases = await this.fetchReleases(pkg);
+                } catch (error) {
+                    console.error(`Error loading releases for ${pkg.name}:`, error);
+                }
+            }
+
+            return this.compare(dependency, pkg, releases);
+        }));
+
+        entries.forEach(entry => {
+            if (entry) {
+                result[entry.status].push(entry);
+            } else {
+                result.unlisted++;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Compare one installed dependency with its catalog package
+     * @param {object} dependency - {name, installed, version}
+     * @param {object} pkg - Catalog package
+     * @param {Array} releases - Releases from the GitHub API
+     * @returns {object} - {status, name, pkg, installed, latest, latestRelease, newer}
+     */
+    compare(dependency, pkg, releases) {
+        // The newest of the manifest version and any published release
+        const published = releases
+            .filter(release => !release.draft && semver.parse(release.tag_name))
+            .sort((a, b) => semver.compare(b.tag_name, a.tag_name));
+
+        const latestRelease = published.find(release => !release.prerelease) || null;
+        const latest = latestRelease && semver.compare(latestRelease.tag_name, pkg.version) > 0
+            ? latestRelease.tag_name.replace(/^v/, '')
+            : pkg.version;
+
+        const entry = {
+            name: dependency.name,
+            pkg,
+            installed: dependency.installed,
+            latest,
+            latestRelease,
+            newer: []
+        };
+
+        if (!dependency.version) {
+            return Object.assign(entry, { status: 'unknown' });
+        }
+
+        // Releases after the installed version, up to the latest, for their notes
+        entry.newer = published.filter(release =>
+            !release.prerelease &&
+            semver.compare(release.tag_name, dependency.version) > 0 &&
+            semver.compare(release.tag_name, latest) <= 0);
+
+        const outdated = semver.compare(dependency.version, latest) < 0;
+        return Object.assign(entry, { status: outdated ? 'outdated' : 'current' });
+    }
+
+    /**
+     * Render the check result
+     * @param {HTMLElement} report - Element to render into
+     * @param {string} fileName - Checked file name
+     * @param {object} result - From check
+     */
+    renderReport(report, fileName, result) {
+        const listed = result.outdated.length + result.current.length + result.unknown.length;
+
+        report.innerHTML = `
+            <div class="detail-section">
+                <h3></h3>
+                <p class="outdated-summary"></p>
+                <table class="diagnostics-table outdated-table">
+                    <thead>
+                        <tr><th>Package</th><th>Installed</th><th>Latest</th><th>Status</th><th>Release notes</th></tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        `;
+
+        report.querySelector('h3').textContent = `Report for ${fileName}`;
+        report.querySelector('.outdated-summary').textContent = listed === 0
+            ? `None of the ${result.unlisted} dependencies are in the catalog.`
+            : `${listed} catalog packages: ${result.outdated.length} outdated, ` +
+              `${result.current.length} up to date, ${result.unknown.length} unknown. ` +
+              `${result.unlisted} other ${result.unlisted === 1 ? 'dependency is' : 'dependencies are'} not in the catalog.`;
+
+        const tbody = report.querySelector('tbody');
+        ['outdated', 'unknown', 'current'].forEach(status => {
+            result[status].forEach(entry => tbody.appendChild(this.createRow(entry)));
+        });
+
+        if (listed === 0) {
+            report.querySelector('table').remove();
+        }
+    }
+
+    /**
+     * Create the table row for one package
+     * @param {object} entry - Entry from compare
+     * @returns {HTMLElement} - Table row
+     */
+    createRow(entry) {
+        const row = document.createElement('tr');
+        row.className = `outdated-${entry.status}`;
+
+        row.innerHTML = `
+            <td><a class="outdated-name" href="${safeHtml.escape(router.href('package', entry.name))}"></a></td>
+            <td class="outdated-installed"></td>
+            <td class="outdated-latest"></td>
+            <td><span class="status-badge">${this.statusLabels[entry.status]}</span></td>
+            <td><ul class="diagnostics-issues"></ul></td>
+        `;
+
+        // Names and versions come from the uploaded file and third-party manifests
+        row.querySelector('.outdated-name').textContent = entry.pkg.displayName || entry.name;
+        row.querySelector('.outdated-installed').textContent = entry.installed || '-';
+        row.querySelector('.outdated-latest').textContent = entry.latest;
+
+        const notes = row.querySelector('.diagnostics-issues');
+        const releases = entry.status === 'unknown' && entry.latestRelease ? [entry.latestRelease] : entry.newer;
+        releases.forEach(release => {
+            const item = document.createElement('li');
+            const url = safeHtml.safeUrl(release.html_url);
+            const link = document.createElement(url ? 'a' : 'span');
+            if (url) {
+                link.href = url;
+                link.target = '_blank';
+                link.rel = 'noopener';
+            }
+            link.textContent = release.name && release.name !== release.tag_name
+                ? `${release.tag_name}: ${release.name}`
+                : release.tag_name;
+            item.appendChild(link);
+            notes.appendChild(item);
+        });
+
+        if (releases.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = entry.status === 'unknown'
+                ? 'Installed from a branch or local path'
+                : '-';
+            notes.appendChild(item);
+        }
+
+        return row;
+    }
+}
+
+// Create global instance
+const outdatedChecker = new OutdatedChecker();
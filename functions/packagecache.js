@@ -0,0 +1,176 @@
+/**
+ * Package Cache Module
+ * Persistent localStorage cache for manifests and release data
+ * Supports per-kind TTLs, ETag revalidation and stale-while-revalidate
+ */
+
+class PackageCache {
+    /**
+     * @param {object} options - Cache options
+     * @param {string} options.prefix - localStorage key prefix
+     * @param {object} options.ttl - Time-to-live per kind in milliseconds (e.g., { manifest: 3600000 })
+     */
+    constructor(options = {}) {
+        this.prefix = options.prefix || 'unityforge-cache:';
+        this.ttl = {
+            manifest: 60 * 60 * 1000,  // 1 hour
+            releases: 15 * 60 * 1000,  // 15 minutes
+            ...options.ttl
+        };
+
+        // In-flight requests, so concurrent callers share one fetch
+        this.pending = new Map();
+    }
+
+    /**
+     * Fetch JSON through the cache
+     *
+     * Fresh entries are returned without touching the network. Stale entries
+     * are returned immediately and revalidated in the background; onUpdate is
+     * called if the server sends different data.
+     *
+     * @param {string} url - URL to fetch
+     * @param {object} options - Fetch options
+     * @param {string} options.kind - TTL kind (e.g., "manifest", "releases")
+     * @param {object} options.headers - Extra request headers
+     * @param {Function} options.onUpdate - Called with fresh data after a background revalidation
+     * @param {Function} options.fetcher - fetch-compatible function to use instead of fetch
+     * @returns {Promise<any>} - Parsed JSON
+     */
+    async fetchJSON(url, { kind, headers = {}, onUpdate, fetcher } = {}) {
+        const entry = this.read(url);
+
+        if (entry && this.isFresh(entry, kind)) {
+            return entry.data;
+        }
+
+        if (entry) {
+            this.revalidate(url, entry, headers, fetcher)
+                .then(result => {
+                    if (result.changed && onUpdate) {
+                        onUpdate(result.data);
+                    }
+                })
+                .catch(error => console.warn(`Background refresh failed for ${url}:`, error.message));
+
+            return entry.data;
+        }
+
+        const result = await this.revalidate(url, null, headers, fetcher);
+        return result.data;
+    }
+
+    /**
+     * Fetch a URL, sending the cached ETag so an unchanged resource costs a 304
+     * @param {string} url - URL to fetch
+     * @param {object|null} entry - Existing cache entry
+     * @param {object} headers - Extra request headers
+     * @param {Function} fetcher - fetch-compatible function, defaults to fetch
+     * @returns {Promise<object>} - {data, changed}
+     */
+    revalidate(url, entry, headers = {}, fetcher = (...args) => fetch(...args)) {
+        if (this.pending.has(url)) {
+            return this.pending.get(url);
+        }
+
+        const request = (async () => {
+            const requestHeaders = { ...headers };
+            if (entry && entry.etag) {
+                requestHeaders['If-None-Match'] = entry.etag;
+            }
+
+            const response = await fetcher(url, { headers: requestHeaders });
+
+            if (response.status === 304 && entry) {
+                this.write(url, { ...entry, storedAt: Date.now() });
+                return { data: entry.data, changed: false };
+            }
+
+            if (!response.ok) {
+                const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                error.response = response;
+                throw error;
+            }
+
+            const data = await response.json();
+            this.write(url, {
+                data,
+                etag: response.headers.get('ETag'),
+                storedAt: Date.now()
+            });
+
+            const changed = !entry || JSON.stringify(entry.data) !== JSON.stringify(data);
+            return { data, changed };
+        })();
+
+        this.pending.set(url, request);
+        request.then(
+            () => this.pending.delete(url),
+            () => this.pending.delete(url)
+        );
+
+        return request;
+    }
+
+    /**
+     * Check whether an entry is still within its TTL
+     * @param {object} entry - Cache entry
+     * @param {string} kind - TTL kind
+     * @returns {boolean} - True if fresh
+     */
+    isFresh(entry, kind) {
+        const ttl = this.ttl[kind] || 0;
+        return Date.now() - entry.storedAt < ttl;
+    }
+
+    /**
+     * Read an entry from localStorage
+     * @param {string} url - Cache key
+     * @returns {object|null} - {data, etag, storedAt} or null
+     */
+    read(url) {
+        try {
+            const raw = localStorage.getItem(this.prefix + url);
+            return raw ? JSON.parse(raw) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Write an entry to localStorage
+     * @param {string} url - Cache key
+     * @param {object} entry - {data, etag, storedAt}
+     */
+    write(url, entry) {
+        const value = JSON.stringify(entry);
+
+        try {
+            localStorage.setItem(this.prefix + url, value);
+        } catch (error) {
+            // Storage is full or unavailable: drop our entries and try once more
+            this.clear();
+            try {
+                localStorage.setItem(this.prefix + url, value);
+            } catch (e) {
+                console.warn('Package cache is unavailable:', e.message);
+            }
+        }
+    }
+
+    /**
+     * Remove all cache entries
+     */
+    clear() {
+        try {
+            Object.keys(localStorage)
+                .filter(key => key.startsWith(this.prefix))
+                .forEach(key => localStorage.removeItem(key));
+        } catch (error) {
+            // localStorage unavailable, nothing to clear
+        }
+    }
+}
+
+// Create global instance
+const packageCache = new PackageCache();
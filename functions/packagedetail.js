@@ -0,0 +1,422 @@
+/**
+ * Package Detail Module
+ * Renders the detail view for a single package: metadata, dependencies, README, download statistics and release history
+ */
+
+class PackageDetailView {
+    constructor() {
+        this.onBack = null;
+        this.onOpenPackage = null; // Called with a package name from dependency links
+        this.onOpenAuthor = null; // Called with an author key from the author link
+    }
+
+    /**
+     * Render the detail view for a package
+     * @param {object} pkg - Package data
+     * @param {string|null} releaseUrl - Releases API URL, null if the host has no release data
+     * @param {object|null} source - Resolved repository source (see repositoryResolver.resolve), used to find the README
+     */
+    async render(pkg, releaseUrl = pkg.links && pkg.links.release, source = null) {
+        const container = document.getElementById('packageDetail');
+
+        const displayName = pkg.displayName || pkg.name;
+        const esc = (value) => safeHtml.escape(value);
+
+        container.innerHTML = `
+            <a href="${esc(router.href('grid'))}" class="detail-back">
+                <i class="fas fa-arrow-left"></i> Back to packages
+            </a>
+
+            <div class="detail-header">
+                <h2 class="package-name">${esc(displayName)}</h2>
+                <p class="package-id">${esc(pkg.name)}</p>
+                <p class="package-author">by ${authorDirectory.renderLink(pkg)}</p>
+                <p class="package-description">${esc(pkg.description)}</p>
+
+                <div class="package-meta">
+                    <span class="status-badge">${esc(pkg.status || 'unknown')}</span>
+                    <span class="version-tag">v${esc(pkg.version)}</span>
+                    ${unityVersion.getMinimum(pkg) ? `<span class="unity-badge"><i class="fab fa-unity"></i> Unity ${esc(unityVersion.getMinimum(pkg))}+</span>` : ''}
+                </div>
+            </div>
+
+            <div class="detail-section dependency-section">
+                <h3>Dependencies</h3>
+            </div>
+
+            <div class="detail-section">
+                <h3>README</h3>
+                <div class="readme-body">
+                    <div class="loading">
+                        <div class="spinner"></div>
+                        <p>Loading README...</p>
+                    </div>
+                </div>
+            </div>
+
+            <div class="detail-section stats-section">
+                <h3>Download Statistics</h3>
+                <div class="stats-body">
+                    <div class="loading">
+                        <div class="spinner"></div>
+                        <p>Loading statistics...</p>
+                    </div>
+                </div>
+            </div>
+
+            <div class="detail-section">
+                <h3>Release History</h3>
+                <div class="release-list">
+                    <div class="loading">
+                        <div class="spinner"></div>
+                        <p>Loading releases...</p>
+                    </div>
+                </div>
+            </div>
+
+            <div class="detail-section">
+                <h3>Package Metadata</h3>
+                <pre class="detail-metadata"></pre>
+            </div>
+        `;
+
+        container.querySelector('.detail-metadata').textContent = JSON.stringify(pkg, null, 2);
+        this.renderDependencies(pkg, container.querySelector('.dependency-section'));
+
+        container.querySelector('.detail-back').addEventListener('click', (e) => {
+            e.preventDefault();
+            if (this.onBack) {
+                this.onBack();
+            }
+        });
+
+        const authorLink = container.querySelector('.author-link');
+        if (authorLink) {
+            authorLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (this.onOpenAuthor) {
+                    this.onOpenAuthor(authorLink.dataset.author);
+                }
+            });
+        }
+
+        const [, releases] = await Promise.all([
+            this.renderReadme(pkg, container.querySelector('.readme-body'), source),
+            this.renderReleases(pkg, container.querySelector('.release-list'), releaseUrl)
+        ]);
+
+        downloadStats.renderPackage(container.querySelector('.stats-body'), releases);
+    }
+
+    /**
+     * Fetch and render a package's README.md as sanitized Markdown
+     * Relative images load from the raw file host; relative links open the file on the repository host.
+     * @param {object} pkg - Package data
+     * @param {HTMLElement} body - Element to render the README into
+     * @param {object|null} source - Resolved repository source
+     */
+    async renderReadme(pkg, body, source) {
+        if (!source) {
+            body.innerHTML = '<p class="detail-empty">No README available for this package.</p>';
+            return;
+        }
+
+        let markdown;
+        try {
+            markdown = await this.fetchReadme(source);
+        } catch (error) {
+            console.error(`Error loading README for ${pkg.name}:`, error);
+            const url = safeHtml.safeUrl(repositoryResolver.getFileUrl(source, 'README.md', 'blob'));
+            body.innerHTML = `
+                <p class="detail-empty">
+                    Failed to load the README: ${safeHtml.escape(error.message)}
+                    ${url ? `<a href="${safeHtml.escape(url)}" target="_blank" rel="noopener">View it on the repository</a>` : ''}
+                </p>
+            `;
+            return;
+        }
+
+        if (markdown === null) {
+            body.innerHTML = '<p class="detail-empty">This package has no README.</p>';
+            return;
+        }
+
+        body.innerHTML = markdownRenderer.render(markdown, {
+            resolveUrl: (url, attribute) => repositoryResolver.getFileUrl(source, url, attribute === 'src' ? 'raw' : 'blob')
+        });
+        body.classList.add('readme');
+
+        // Section links scroll within the README; everything else opens in a new tab
+        body.querySelectorAll('a[href]').forEach(link => {
+            const href = link.getAttribute('href');
+            if (!href.startsWith('#')) {
+                link.target = '_blank';
+                link.rel = 'noopener';
+                return;
+            }
+
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                let id = href.substring(1);
+                try {
+                    id = decodeURIComponent(id);
+                } catch (error) {
+                    // Malformed escape such as "#100%": look the fragment up as written
+                }
+
+                const target = body.querySelector(`[id="${CSS.escape(id)}"]`);
+                if (target) {
+                    target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                }
+            });
+        });
+    }
+
+    /**
+     * Fetch the README of a package folder
+     * @param {object} source - Resolved repository source
+     * @returns {Promise<string|null>} - Markdown, or null if the package has no README
+     */
+    async fetchReadme(source) {
+        // Raw file hosts are case-sensitive
+        for (const name of ['README.md', 'readme.md', 'Readme.md']) {
+            const response = await fetch(repositoryResolver.getFileUrl(source, name));
+            if (response.ok) {
+                return response.text();
+            }
+            if (response.status !== 404) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Render "depends on", "required by" and the transitive dependency tree
+     * @param {object} pkg - Package data
+     * @param {HTMLElement} section - Element to render into
+     */
+    renderDependencies(pkg, section) {
+        const dependencies = dependencyGraph.getDependencies(pkg);
+        const dependents = dependencyGraph.getDependents(pkg);
+
+        if (dependencies.length === 0 && dependents.length === 0) {
+            section.insertAdjacentHTML('beforeend',
+                '<p class="detail-empty">No dependencies, and no listed package requires this one.</p>');
+            return;
+        }
+
+        const list = (items, empty) => items.length === 0
+            ? `<p class="detail-empty">${empty}</p>`
+            : `<ul class="dependency-list">${items.map(item => `<li>${this.renderDependency(item)}</li>`).join('')}</ul>`;
+
+        section.insertAdjacentHTML('beforeend', `
+            <div class="dependency-columns">
+                <div>
+                    <h4>Depends on</h4>
+                    ${list(dependencies, 'Nothing')}
+                </div>
+                <div>
+                    <h4>Required by</h4>
+                    ${list(dependents, 'No listed packages')}
+                </div>
+            </div>
+        `);
+
+        if (dependencies.length > 0) {
+            const tree = dependencyGraph.getTree(pkg);
+            const problems = dependencyGraph.getProblems(tree);
+
+            section.insertAdjacentHTML('beforeend', `
+                <h4>Full dependency tree</h4>
+                <p class="dependency-summary ${problems.length > 0 ? 'has-problems' : ''}">
+                    ${problems.length > 0
+                        ? `<i class="fas fa-exclamation-triangle"></i> ${problems.length} problem${problems.length === 1 ? '' : 's'}: install may fail or need packages from elsewhere`
+                        : '<i class="fas fa-check"></i> Every dependency is available in the catalog or the Unity registry'}
+                </p>
+                <ul class="dependency-tree">${tree.children.map(node => this.renderTreeNode(node)).join('')}</ul>
+            `);
+        }
+
+        section.querySelectorAll('.dependency-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                if (this.onOpenPackage) {
+                    this.onOpenPackage(link.dataset.package);
+                }
+            });
+        });
+    }
+
+    /**
+     * Render one dependency as a link (when listed) with its version and status
+     * @param {object} item - {name, required, pkg, status, problem}
+     * @returns {string} - HTML
+     */
+    renderDependency(item) {
+        const esc = (value) => safeHtml.escape(value);
+        const label = item.pkg ? (item.pkg.displayName || item.name) : item.name;
+
+        const name = item.pkg
+            ? `<a href="${esc(router.href('package', item.name))}" class="dependency-link" data-package="${esc(item.name)}">${esc(label)}</a>`
+            : `<span class="dependency-name">${esc(label)}</span>`;
+
+        const badges = {
+            external: '<span class="dependency-status status-external">Unity registry</span>',
+            missing: '<span class="dependency-status status-missing">not in catalog</span>',
+            conflict: '<span class="dependency-status status-conflict">version conflict</span>'
+        };
+
+        return `
+            ${name}
+            <span class="dependency-version">${esc(item.required)}</span>
+            ${item.status ? badges[item.status] || '' : ''}
+            ${item.problem ? `<span class="dependency-problem">${esc(item.problem)}</span>` : ''}
+        `;
+    }
+
+    /**
+     * Render a dependency tree node and its children
+     * @param {object} node - Node from dependencyGraph.getTree
+     * @returns {string} - HTML
+     */
+    renderTreeNode(node) {
+        const note = node.cycle ? '<span class="dependency-problem">circular dependency</span>'
+            : node.repeated ? '<span class="dependency-note">(dependencies shown above)</span>'
+            : '';
+
+        const children = node.children.length > 0
+            ? `<ul>${node.children.map(child => this.renderTreeNode(child)).join('')}</ul>`
+            : '';
+
+        return `<li class="tree-${node.status}">${this.renderDependency(node)} ${note}${children}</li>`;
+    }
+
+    /**
+     * Fetch and render the release history of a package
+     * @param {object} pkg - Package data
+     * @param {HTMLElement} list - Element to render the releases into
+     * @param {string|null} releaseUrl - Releases API URL
+     * @returns {Promise<Array|null>} - Releases, or null if there are none to load or they failed to load
+     */
+    async renderReleases(pkg, list, releaseUrl) {
+        if (!releaseUrl) {
+            list.innerHTML = '<p class="detail-empty">This package does not publish releases.</p>';
+            return null;
+        }
+
+        let releases;
+        try {
+            releases = await downloadCounter.fetchReleases(releaseUrl);
+        } catch (error) {
+            console.error(`Error loading releases for ${pkg.name}:`, error);
+            list.innerHTML = `<p class="detail-empty">Failed to load releases: ${safeHtml.escape(error.message)}</p>`;
+            return null;
+        }
+
+        if (releases.length === 0) {
+            list.innerHTML = '<p class="detail-empty">No releases published yet.</p>';
+            return releases;
+        }
+
+        list.innerHTML = '';
+        releases.forEach(release => list.appendChild(this.createReleaseElement(release)));
+        return releases;
+    }
+
+    /**
+     * Create the element for a single release
+     * @param {object} release - Release from the GitHub API
+     * @returns {HTMLElement} - Release element
+     */
+    createReleaseElement(release) {
+        const item = document.createElement('article');
+        item.className = 'release-item';
+
+        const downloads = downloadCounter.sumAssetDownloads(release);
+        const releaseUrl = safeHtml.safeUrl(release.html_url) || '#';
+
+        item.innerHTML = `
+            <div class="release-header">
+                <a href="${safeHtml.escape(releaseUrl)}" class="release-tag" target="_blank" rel="noopener">${safeHtml.escape(release.tag_name)}</a>
+                <span class="release-name"></span>
+                ${release.prerelease ? '<span class="status-badge">pre-release</span>' : ''}
+                <span class="release-date">${this.formatDate(release.published_at)}</span>
+                <span class="download-count">
+                    <i class="fas fa-download"></i> ${downloadCounter.formatCount(downloads)}
+                </span>
+            </div>
+            <div class="release-notes"></div>
+            ${this.renderAssets(release.assets)}
+        `;
+
+        // Release notes are free-form text from GitHub, so never treat them as markup
+        if (release.name && release.name !== release.tag_name) {
+            item.querySelector('.release-name').textContent = release.name;
+        }
+        item.querySelector('.release-notes').textContent = release.body || 'No release notes.';
+
+        return item;
+    }
+
+    /**
+     * Render the asset table of a release
+     * @param {Array} assets - Release assets
+     * @returns {string} - HTML string
+     */
+    renderAssets(assets) {
+        if (!assets || !Array.isArray(assets) || assets.length === 0) return '';
+
+        const rows = assets.map(asset => `
+            <tr>
+                <td><a href="${safeHtml.escape(safeHtml.safeUrl(asset.browser_download_url) || '#')}" download>${safeHtml.escape(asset.name)}</a></td>
+                <td>${this.formatSize(asset.size)}</td>
+                <td>${downloadCounter.formatCount(asset.download_count || 0)}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="asset-table">
+                <thead>
+                    <tr><th>Asset</th><th>Size</th><th>Downloads</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Format an ISO date for display
+     * @param {string} isoDate - ISO 8601 date
+     * @returns {string} - Formatted date (e.g., "Mar 4, 2024")
+     */
+    formatDate(isoDate) {
+        if (!isoDate) return 'Unpublished';
+
+        return new Date(isoDate).toLocaleDateString(undefined, {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    }
+
+    /**
+     * Format a file size for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string} - Formatted size (e.g., "1.2 MB")
+     */
+    formatSize(bytes) {
+        if (!bytes) return '-';
+
+        if (bytes >= 1048576) {
+            return (bytes / 1048576).toFixed(1) + ' MB';
+        } else if (bytes >= 1024) {
+            return (bytes / 1024).toFixed(1) + ' KB';
+        }
+        return bytes + ' B';
+    }
+}
+
+// Create global instance
+const packageDetailView = new PackageDetailView();
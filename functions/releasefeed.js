@@ -0,0 +1,201 @@
+/**
+ * Release Feed Module
+ * Turns catalog release data into Atom and JSON Feed documents, one entry per release
+ * Shared by scripts/build-feeds.js, which writes the feeds, and the site, which links to them
+ */
+
+class ReleaseFeed {
+    constructor() {
+        this.feedDir = 'data/feeds';
+        this.maxEntries = 50;
+        this.extensions = { atom: 'atom', json: 'json' };
+    }
+
+    /**
+     * Path of a generated feed, relative to the site root
+     * @param {string|null} tag - Tag for a per-tag feed, null for the whole catalog
+     * @param {string} format - "atom" or "json"
+     * @returns {string} - e.g. "data/feeds/releases.atom" or "data/feeds/tags/json.json"
+     */
+    getFeedPath(tag, format) {
+        const name = tag ? `tags/${this.slugify(tag)}` : 'releases';
+        return `${this.feedDir}/${name}.${this.extensions[format]}`;
+    }
+
+    /**
+     * Make a tag safe to use as a file name
+     * Other characters are escaped as _<hex>_, so different tags never share a file ("c#" is "c_23_").
+     * @param {string} tag - Package tag
+     * @returns {string} - Lowercase slug
+     */
+    slugify(tag) {
+        return String(tag).toLowerCase().replace(/[^a-z0-9-]/g, c => `_${c.charCodeAt(0).toString(16)}_`);
+    }
+
+    /**
+     * Get the tags of a manifest
+     * @param {object} manifest - package.json contents
+     * @returns {Array} - Lowercase tags
+     */
+    getTags(manifest) {
+        const tags = manifest.keywords || manifest.tags;
+        return Array.isArray(tags)
+            ? tags.filter(tag => typeof tag === 'string' && tag !== '').map(tag => tag.toLowerCase())
+            : [];
+    }
+
+    /**
+     * Collect feed entries from catalog packages, newest first
+     * @param {Array} packages - Catalog entries with manifest and releases
+     * @param {string|null} tag - Only include packages with this tag
+     * @returns {Array} - [{id, name, displayName, version, title, date, notes, url, author}]
+     */
+    collectEntries(packages, tag = null) {
+        const entries = [];
+
+        packages.forEach(entry => {
+            const manifest = entry.manifest;
+            if (!manifest || typeof manifest.name !== 'string' || !Array.isArray(entry.releases)) {
+                return;
+            }
+            if (tag && !this.getTags(manifest).includes(tag.toLowerCase())) {
+                return;
+            }
+
+            const displayName = typeof manifest.displayName === 'string' ? manifest.displayName : manifest.name;
+            const author = manifest.author && typeof manifest.author === 'object' ? manifest.author.name : manifest.author;
+
+            entry.releases.forEach(release => {
+                const date = Date.parse(release.published_at);
+                if (release.draft || typeof release.tag_name !== 'string' || isNaN(date)) {
+                    return;
+                }
+
+                const version = release.tag_name.replace(/^v(?=\d)/, '');
+                entries.push({
+                    id: `${manifest.name}@${release.tag_name}`,
+                    name: manifest.name,
+                    displayName,
+                    version,
+                    title: `${displayName} ${version}${release.prerelease ? ' (pre-release)' : ''}`,
+                    date: new Date(date),
+                    notes: typeof release.body === 'string' && release.body.trim() ? release.body : 'No release notes.',
+                    url: typeof release.html_url === 'string' && /^https?:\/\//i.test(release.html_url) ? release.html_url : null,
+                    author: typeof author === 'string' ? author : null
+                });
+            });
+        });
+
+        return entries
+            .sort((a, b) => b.date - a.date)
+            .slice(0, this.maxEntries);
+    }
+
+    /**
+     * Build an Atom feed
+     * @param {Array} entries - From collectEntries
+     * @param {object} meta - {title, siteUrl, feedUrl, updated}
+     * @returns {string} - Atom XML
+     */
+    toAtom(entries, meta) {
+        const xml = (value) => this.escapeXml(value);
+        const packageUrl = (entry) => this.getPackageUrl(meta.siteUrl, entry.name);
+
+        const items = entries.map(entry => `
+  <entry>
+    <id>${xml(this.tagUri(meta.siteUrl, entry))}</id>
+    <title>${xml(entry.title)}</title>
+    <updated>${entry.date.toISOString()}</updated>
+    <published>${entry.date.toISOString()}</published>
+    <link rel="alternate" type="text/html" href="${xml(entry.url || packageUrl(entry))}"/>
+    <link rel="related" type="text/html" href="${xml(packageUrl(entry))}"/>
+    ${entry.author ? `<author><name>${xml(entry.author)}</name></author>` : ''}
+    <category term="${xml(entry.name)}"/>
+    <content type="text">${xml(entry.notes)}</content>
+  </entry>`).join('');
+
+        return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${xml(meta.feedUrl)}</id>
+  <title>${xml(meta.title)}</title>
+  <updated>${(entries.length > 0 ? entries[0].date : meta.updated).toISOString()}</updated>
+  <link rel="self" type="application/atom+xml" href="${xml(meta.feedUrl)}"/>
+  <link rel="alternate" type="text/html" href="${xml(meta.siteUrl)}"/>
+  <author><name>Unity Forge</name></author>${items}
+</feed>
+`;
+    }
+
+    /**
+     * Build a JSON Feed (version 1.1)
+     * @param {Array} entries - From collectEntries
+     * @param {object} meta - {title, siteUrl, feedUrl}
+     * @returns {object} - JSON Feed document
+     */
+    toJsonFeed(entries, meta) {
+        return {
+            version: 'https://jsonfeed.org/version/1.1',
+            title: meta.title,
+            home_page_url: meta.siteUrl,
+            feed_url: meta.feedUrl,
+            items: entries.map(entry => {
+                const item = {
+                    id: this.tagUri(meta.siteUrl, entry),
+                    url: entry.url || this.getPackageUrl(meta.siteUrl, entry.name),
+                    title: entry.title,
+                    content_text: entry.notes,
+                    date_published: entry.date.toISOString(),
+                    tags: [entry.name]
+                };
+                if (entry.author) {
+                    item.authors = [{ name: entry.author }];
+                }
+                return item;
+            })
+        };
+    }
+
+    /**
+     * Permalink of a package on the site (see router.js)
+     * @param {string} siteUrl - Site URL, ending in "/"
+     * @param {string} name - Package name
+     * @returns {string} - e.g. "https://unityforgedev.github.io/#/package/com.owner.tool"
+     */
+    getPackageUrl(siteUrl, name) {
+        return `${siteUrl}#/package/${encodeURIComponent(name)}`;
+    }
+
+    /**
+     * Stable, unique id for an entry (RFC 4151 tag URI)
+     * @param {string} siteUrl - Site URL, used for the authority
+     * @param {object} entry - Feed entry
+     * @returns {string} - e.g. "tag:unityforgedev.github.io,2024-05-01:com.owner.tool@v1.2.0"
+     */
+    tagUri(siteUrl, entry) {
+        const host = siteUrl.replace(/^https?:\/\//i, '').split('/')[0];
+        return `tag:${host},${entry.date.toISOString().substring(0, 10)}:${entry.id}`;
+    }
+
+    /**
+     * Escape text for XML, dropping characters XML 1.0 does not allow
+     * @param {any} value - Value to escape
+     * @returns {string} - Escaped string
+     */
+    escapeXml(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+// Create global instance
+const releaseFeed = new ReleaseFeed();
+
+// Allow the feed build script to share the feed rules under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ReleaseFeed, releaseFeed };
+}
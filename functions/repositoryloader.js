@@ -10,6 +10,49 @@ class RepositoryLoader {
         this.filteredPackages = [];
         this.allTags = new Set();
         this.selectedTags = new Set();
+        this.excludedTags = new Set();
+        this.tagMode = 'any'; // 'any' or 'all' selected tags must match
+        this.tagButtons = new Map();
+        this.sortMode = ''; // '' keeps relevance / repository.json order
+        this.favoritesOnly = false; // ?favorites=1 shows starred packages only
+        this.compareList = []; // Package names collected for #/compare, in column order
+        this.editorVersion = ''; // Selected Unity editor line, '' for any
+        this.showIncompatible = false; // Mark instead of hide packages needing a newer editor
+        this.unityPreferenceKey = 'unityforge-unity-filter';
+        this.selectedPackages = new Set(); // Package names ticked for manifest export
+        this.selectionKey = 'unityforge-selection';
+        this.releaseStats = new Map();
+        this.releaseQueue = new TaskQueue(4); // Parallel release API calls
+        this.filterRun = 0;
+        this.repositories = []; // Repository keys in repository.json order
+        this.repositoryEntries = new Map(); // Repository key -> repository.json entry
+        this.packagesByRepo = new Map();
+        this.packageRepos = new Map(); // Package name -> repository key
+        this.diagnostics = new Map();
+        this.refreshTimer = null;
+        // Older catalog entries are fetched live; the catalog is rebuilt daily, so allow for a late or failed run
+        this.catalogMaxAge = 36 * 60 * 60 * 1000;
+        this.placeholderImage = 'https://via.placeholder.com/400x200?text=No+Image';
+
+        packageDetailView.onBack = () => this.closePackage();
+        packageDetailView.onOpenPackage = (name) => this.openPackage(name);
+        installSnippets.onCopy = (text) => this.copyToClipboard(text, 'Install snippet');
+        outdatedChecker.fetchReleases = (pkg) => this.fetchPackageReleases(pkg);
+        downloadStats.fetchReleases = (pkg) => this.fetchPackageReleases(pkg);
+        authorDirectory.fetchReleases = (pkg) => this.supportsDownloads(pkg) ? this.fetchPackageReleases(pkg) : Promise.resolve(null);
+        authorDirectory.onBack = () => this.closePackage();
+        authorDirectory.onOpenAuthor = (key) => this.openAuthor(key);
+        authorDirectory.onOpenPackage = (name) => this.openPackage(name);
+        packageDetailView.onOpenAuthor = (key) => this.openAuthor(key);
+        submissionHelper.onCheck = (entry) => this.checkSubmission(entry);
+        submissionHelper.onCopy = (text) => this.copyToClipboard(text, 'Text');
+        compareView.fetchReleases = (pkg) => this.supportsDownloads(pkg) ? this.fetchPackageReleases(pkg) : Promise.resolve(null);
+        compareView.onBack = () => this.closePackage();
+        compareView.onRemove = (name) => {
+            this.compareList = this.compareList.filter(item => item !== name);
+            router.navigate(router.href('compare', this.compareList));
+        };
+        downloadCounter.onRateLimit = (resetAt) => this.showRateLimitBanner(resetAt);
         
         this.init();
     }
@@ -52,11 +95,76 @@ class RepositoryLoader {
         // Clear filters
         const clearFilters = document.getElementById('clearFilters');
         clearFilters.addEventListener('click', () => this.clearFilters());
-        
-        // Handle browser back/forward buttons
-        window.addEventListener('popstate', () => {
-            this.loadFromURL();
+
+        // Sorting
+        document.getElementById('sortSelect').addEventListener('change', (e) => this.setSortMode(e.target.value));
+
+        // Unity editor version
+        document.getElementById('unitySelect').addEventListener('change', (e) => {
+            this.setEditorVersion(e.target.value, this.showIncompatible);
+        });
+        document.getElementById('showIncompatible').addEventListener('change', (e) => {
+            this.setEditorVersion(this.editorVersion, e.target.checked);
+        });
+
+        // Tag match mode
+        document.querySelectorAll('.tag-mode-btn').forEach(button => {
+            button.addEventListener('click', () => this.setTagMode(button.dataset.mode));
+        });
+
+        // Selection tray
+        document.getElementById('exportSelection').addEventListener('click', () => this.exportSelection());
+        document.getElementById('patchSelection').addEventListener('click', () => {
+            document.getElementById('manifestFile').click();
+        });
+        document.getElementById('manifestFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.patchManifest(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        document.getElementById('shareSelection').addEventListener('click', () => this.shareSelection());
+        document.getElementById('clearSelection').addEventListener('click', () => this.clearSelection());
+
+        // Comparison
+        document.getElementById('openCompare').addEventListener('click', () => {
+            router.navigate(router.href('compare', this.compareList));
+        });
+        document.getElementById('clearCompare').addEventListener('click', () => {
+            this.compareList = [];
+            this.renderCompareBar();
+            document.querySelectorAll('.compare-btn.active').forEach(button => button.classList.remove('active'));
+        });
+
+        // Watchlist
+        document.getElementById('markUpdatesSeen').addEventListener('click', () => this.markUpdatesSeen());
+        document.getElementById('exportWatchlist').addEventListener('click', () => {
+            manifestExport.download('unityforge-watchlist.json', watchlist.export());
+        });
+        document.getElementById('importWatchlist').addEventListener('click', () => {
+            document.getElementById('watchlistFile').click();
+        });
+        document.getElementById('watchlistFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importWatchlist(e.target.files[0]);
+            }
+            e.target.value = '';
         });
+
+        // GitHub token panel
+        document.getElementById('tokenLink').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.toggleTokenPanel();
+        });
+        document.getElementById('rateLimitTokenBtn').addEventListener('click', () => this.toggleTokenPanel());
+        document.getElementById('closeToken').addEventListener('click', () => this.toggleTokenPanel());
+        document.getElementById('saveToken').addEventListener('click', () => {
+            this.saveToken(document.getElementById('tokenInput').value.trim());
+        });
+        document.getElementById('removeToken').addEventListener('click', () => this.saveToken(''));
+        
+        // Back/forward and #/ links
+        router.listen(() => this.loadFromURL());
     }
 
     /**
@@ -76,13 +184,28 @@ class RepositoryLoader {
             const data = await response.json();
             console.log('Repository data loaded:', data);
             
-            // Load manifests for each repository
-            await this.loadManifests(data.repositories);
+            // Entries are URLs or {url, ref, path} objects (see repositoryresolver.js)
+            this.repositories = data.repositories.map(entry => {
+                const repoKey = repositoryResolver.getKey(entry);
+                this.repositoryEntries.set(repoKey, entry);
+                return repoKey;
+            });
+
+            // Show a loading card per repository while manifests arrive
+            this.renderLoadingCards();
+            this.showLoading(false);
+
+            // Load manifests for each repository, from the prebuilt catalog where possible
+            const [catalog] = await Promise.all([this.loadCatalog(), downloadHistory.load()]);
+            await this.loadManifests(this.repositories, catalog);
             
             console.log(`Loaded ${this.packages.length} packages successfully`);
             
             this.filteredPackages = [...this.packages];
             this.buildTagsList();
+            this.buildUnityOptions();
+            this.renderUpdatesStrip();
+            watchlist.recordVisit(this.packages);
             
             // Load from URL first, then render
             this.loadFromURL();
@@ -95,117 +218,403 @@ class RepositoryLoader {
         }
     }
 
+    /**
+     * Load the prebuilt catalog from data/catalog.json
+     * @returns {Promise<object|null>} - Catalog, or null if not available
+     */
+    async loadCatalog() {
+        try {
+            const response = await fetch('data/catalog.json');
+
+            if (!response.ok) {
+                return null;
+            }
+
+            const catalog = await response.json();
+            console.log(`Catalog loaded, generated ${catalog.generatedAt}`);
+            return catalog;
+        } catch (error) {
+            console.warn('Catalog unavailable, loading packages live:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Find a usable catalog entry for a repository
+     * @param {object|null} catalog - Catalog from loadCatalog
+     * @param {string} repoKey - Repository key (see repositoryResolver.getKey)
+     * Entries whose releases failed to load still have a usable manifest; their releases are fetched live.
+     * @returns {object|null} - Entry, or null if missing, without a manifest or stale
+     */
+    getCatalogEntry(catalog, repoKey) {
+        if (!catalog || !Array.isArray(catalog.packages)) {
+            return null;
+        }
+
+        const entry = catalog.packages.find(e => e.repository === repoKey);
+        if (!entry || !entry.manifest) {
+            return null;
+        }
+
+        const age = Date.now() - new Date(entry.fetchedAt).getTime();
+        return age < this.catalogMaxAge ? entry : null;
+    }
+
+    /**
+     * Use a catalog entry instead of fetching the repository
+     * @param {string} repoKey - Repository key (see repositoryResolver.getKey)
+     * @param {object} entry - Catalog entry
+     * @returns {object|null} - Package data, or null if the manifest is invalid
+     */
+    loadFromCatalog(repoKey, entry) {
+        const manifest = this.acceptManifest(repoKey, entry.manifest, 'catalog');
+        const releaseUrl = manifest && this.getReleaseUrl(manifest);
+
+        if (releaseUrl && entry.releases) {
+            downloadCounter.preload(releaseUrl, entry.releases);
+        }
+
+        return manifest;
+    }
+
     /**
      * Load manifest.json from each repository
-     * @param {Array} repositories - Array of repository URLs
+     * @param {Array} repositories - Array of repository keys
+     * @param {object|null} catalog - Prebuilt catalog; stale or missing entries are fetched live
      */
-    async loadManifests(repositories) {
-        const promises = repositories.map(repoUrl => this.loadManifest(repoUrl));
-        const results = await Promise.allSettled(promises);
+    async loadManifests(repositories, catalog = null) {
+        const promises = repositories.map(async repoKey => {
+            const entry = this.getCatalogEntry(catalog, repoKey);
+            const pkg = entry ? this.loadFromCatalog(repoKey, entry) : await this.loadManifest(repoKey);
+
+            // Fill in this repository's card as soon as it is ready
+            this.replaceRepositoryCard(repoKey, pkg ? this.createPackageCard(pkg) : this.createFailedCard(repoKey));
+            return pkg;
+        });
+        await Promise.allSettled(promises);
         
-        this.packages = results
-            .filter(result => result.status === 'fulfilled' && result.value)
-            .map(result => result.value);
+        this.rebuildPackages();
     }
 
     /**
-     * Convert GitHub URL to raw content URL
-     * @param {string} url - GitHub repository URL
-     * @returns {string} - Raw GitHub URL
+     * Rebuild the package list in repository.json order
+     *
+     * Reads back through packagesByRepo so background refreshes that landed
+     * while other manifests were still loading are kept.
      */
-    convertToRawUrl(url) {
-        // If already a raw URL, return as-is
-        if (url.includes('raw.githubusercontent.com')) {
-            return url;
-        }
+    rebuildPackages() {
+        this.packages = this.repositories
+            .filter(repoKey => this.packagesByRepo.has(repoKey))
+            .map(repoKey => this.packagesByRepo.get(repoKey));
 
-        // Convert github.com URL to raw.githubusercontent.com
-        // Format: https://github.com/owner/repo -> https://raw.githubusercontent.com/owner/repo/main
-        const githubPattern = /github\.com\/([^\/]+)\/([^\/]+)/;
-        const match = url.match(githubPattern);
+        this.collectTags();
+        dependencyGraph.build(this.packages);
+    }
+
+    /**
+     * Retry loading a repository that failed
+     * @param {string} repoKey - Repository key (see repositoryResolver.getKey)
+     */
+    async retryRepository(repoKey) {
+        this.replaceRepositoryCard(repoKey, this.createLoadingCard(repoKey));
 
-        if (match) {
-            const owner = match[1];
-            const repo = match[2].replace(/\.git$/, ''); // Remove .git if present
-            return `https://raw.githubusercontent.com/${owner}/${repo}/main`;
+        const pkg = await this.loadManifest(repoKey);
+        if (!pkg) {
+            this.replaceRepositoryCard(repoKey, this.createFailedCard(repoKey));
+            return;
         }
 
-        return url;
+        this.rebuildPackages();
+        this.buildTagsList();
+        this.buildUnityOptions();
+        this.renderUpdatesStrip();
+        watchlist.recordVisit(this.packages);
+        this.applyFilters();
+    }
+
+    /**
+     * Resolve a repository key to its host and package.json URL
+     * @param {string} repoKey - Repository key (see repositoryResolver.getKey)
+     * @returns {object} - Resolved source (see repositoryResolver.resolve)
+     */
+    getSource(repoKey) {
+        const entry = this.repositoryEntries.has(repoKey) ? this.repositoryEntries.get(repoKey) : repoKey;
+        return repositoryResolver.resolve(entry);
+    }
+
+    /**
+     * Get the web address of a repository
+     * @param {string} repoKey - Repository key (see repositoryResolver.getKey)
+     * @returns {string|null} - Repository URL, or null if the entry does not resolve
+     */
+    getRepositoryUrl(repoKey) {
+        try {
+            return this.getSource(repoKey).url;
+        } catch (error) {
+            return null;
+        }
     }
 
     /**
      * Load single manifest from repository
-     * @param {string} repoUrl - Repository URL
-     * @returns {Promise<object>} - Package data
+     * @param {string} repoKey - Repository key (see repositoryResolver.getKey)
+     * @returns {Promise<object|null>} - Package data, or null if it failed to load or is invalid
      */
-    async loadManifest(repoUrl) {
+    async loadManifest(repoKey) {
         try {
-            // Convert to raw URL if needed
-            const rawUrl = this.convertToRawUrl(repoUrl);
-            
-            // Construct package.json URL (changed from manifest.json)
-            const packageUrl = `${rawUrl}/package.json`;
+            // Resolve the host, ref and subfolder to a package.json URL
+            const packageUrl = this.getSource(repoKey).manifestUrl;
             
             console.log('Fetching package.json from:', packageUrl);
             
-            const response = await fetch(packageUrl);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            // Served from the persistent cache when possible; a stale copy is
+            // shown right away and replaced once the background refresh lands
+            const manifest = await packageCache.fetchJSON(packageUrl, {
+                kind: 'manifest',
+                onUpdate: (updated) => this.refreshPackage(repoKey, updated)
+            });
+            const pkg = this.acceptManifest(repoKey, manifest, 'live');
+            if (pkg) {
+                console.log('Package loaded:', pkg.name);
             }
 
-            const manifest = await response.json();
-            console.log('Package loaded:', manifest.name);
+            return pkg;
             
+        } catch (error) {
+            console.error(`Error loading manifest from ${repoKey}:`, error.message);
+            this.diagnostics.set(repoKey, {
+                repository: repoKey,
+                url: this.getRepositoryUrl(repoKey),
+                source: 'live',
+                status: 'failed',
+                errors: [error.message],
+                warnings: []
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Check a repository for the submit page, loading it the way the catalog would
+     * Nothing is added to the catalog or the diagnostics.
+     * @param {string|object} entry - Proposed repository.json entry
+     * @returns {Promise<object>} - {entry, source, manifest, errors, warnings, card}
+     */
+    async checkSubmission(entry) {
+        const report = { entry, source: null, manifest: null, errors: [], warnings: [], card: null };
+
+        try {
+            report.source = repositoryResolver.resolve(entry);
+        } catch (error) {
+            report.errors.push(error.message);
+            return report;
+        }
+
+        const listed = this.repositories.find(repoKey => {
+            try {
+                return this.getSource(repoKey).manifestUrl === report.source.manifestUrl;
+            } catch (error) {
+                return false;
+            }
+        });
+        if (listed) {
+            report.errors.push(`This repository is already in repository.json as ${listed}`);
+        }
+
+        // Always ask the server: the submitter has probably just edited package.json
+        let manifest;
+        try {
+            const url = report.source.manifestUrl;
+            manifest = (await packageCache.revalidate(url, packageCache.read(url))).data;
+        } catch (error) {
+            report.errors.push(`Could not load ${report.source.manifestUrl}: ${error.message}`);
+            return report;
+        }
+
+        const result = manifestValidator.validate(manifest);
+        report.errors.push(...result.errors);
+        report.warnings.push(...result.warnings);
+        if (!result.valid) {
+            return report;
+        }
+
+        const existing = this.packageRepos.get(result.manifest.name);
+        if (existing && existing !== listed) {
+            report.errors.push(`A package named "${result.manifest.name}" is already listed, from ${existing}`);
+        }
+
+        report.manifest = result.manifest;
+        report.card = this.createPackageCard(result.manifest, report.source);
+        report.card.removeAttribute('id'); // The catalog may already have a card with this ID
+        return report;
+    }
+
+    /**
+     * Validate a manifest and record the outcome for the diagnostics view
+     * @param {string} repoKey - Repository key (see repositoryResolver.getKey)
+     * @param {any} manifest - Parsed package.json
+     * @param {string} source - Where it came from ("live" or "catalog")
+     * @returns {object|null} - Normalized package data, or null if excluded
+     */
+    acceptManifest(repoKey, manifest, source) {
+        const result = manifestValidator.validate(manifest);
+
+        this.diagnostics.set(repoKey, {
+            repository: repoKey,
+            url: this.getRepositoryUrl(repoKey),
+            source,
+            status: result.valid ? 'loaded' : 'invalid',
+            name: manifest && typeof manifest.name === 'string' ? manifest.name : null,
+            errors: result.errors,
+            warnings: result.warnings
+        });
+
+        if (!result.valid) {
+            console.error(`Invalid package.json in ${repoKey}:`, result.errors);
+            return null;
+        }
+
+        if (result.warnings.length > 0) {
+            console.warn(`package.json warnings in ${repoKey}:`, result.warnings);
+        }
+
+        this.packagesByRepo.set(repoKey, result.manifest);
+        this.packageRepos.set(result.manifest.name, repoKey);
+        return result.manifest;
+    }
+
+    /**
+     * Rebuild the tag set from all loaded packages
+     */
+    collectTags() {
+        this.allTags.clear();
+
+        this.packages.forEach(pkg => {
             // Collect tags from keywords field (new format) or tags field (old format)
-            const tags = manifest.keywords || manifest.tags;
+            const tags = pkg.keywords || pkg.tags;
             if (tags && Array.isArray(tags)) {
                 tags.forEach(tag => this.allTags.add(tag));
             }
+        });
+    }
 
-            return manifest;
-            
-        } catch (error) {
-            console.error(`Error loading manifest from ${repoUrl}:`, error.message);
-            this.showError(`Failed to load package from ${repoUrl}: ${error.message}`);
-            return null;
+    /**
+     * Replace a package with a fresher manifest from a background refresh
+     * @param {string} repoKey - Repository key (see repositoryResolver.getKey)
+     * @param {object} manifest - Updated package data
+     */
+    refreshPackage(repoKey, manifest) {
+        const previous = this.packagesByRepo.get(repoKey);
+        const index = this.packages.indexOf(previous);
+
+        const pkg = this.acceptManifest(repoKey, manifest, 'live');
+        if (!pkg) {
+            // Keep showing the last valid version
+            if (previous) {
+                this.packagesByRepo.set(repoKey, previous);
+            }
+            return;
+        }
+
+        if (index === -1) {
+            return;
         }
+
+        console.log('Package refreshed:', pkg.name);
+        this.packages[index] = pkg;
+
+        // Several manifests usually refresh at once, so re-render only once
+        clearTimeout(this.refreshTimer);
+        this.refreshTimer = setTimeout(() => {
+            this.collectTags();
+            dependencyGraph.build(this.packages);
+            this.buildTagsList();
+            this.buildUnityOptions();
+            this.renderUpdatesStrip();
+            watchlist.recordVisit(this.packages);
+            this.loadFromURL();
+        }, 100);
     }
 
     /**
-     * Load search and filter parameters from URL
+     * Render the current route (see router.js): a page view, or the grid with the filters in the query string
      */
     loadFromURL() {
-        const params = new URLSearchParams(window.location.search);
-        const hash = window.location.hash.substring(1); // Remove the # symbol
-        
+        // Older link formats are rewritten in place, so back/forward never sees them
+        const redirect = router.getRedirect(window.location, (slug) => this.findLegacySlug(slug));
+        if (redirect) {
+            router.navigate(redirect, true, false);
+        }
+
+        const route = router.parse(window.location);
+        const params = route.params;
+
         // Reset UI state first
         this.selectedTags.clear();
+        this.excludedTags.clear();
+        this.tagMode = 'any';
+        this.sortMode = '';
+        this.favoritesOnly = params.get('favorites') === '1';
         document.getElementById('searchInput').value = '';
-        const tagButtons = document.querySelectorAll('.tag-filter');
-        tagButtons.forEach(btn => btn.classList.remove('active'));
-        
-        // Check if there's ONLY a hash (no search query or tags)
-        // This means someone shared a direct link to a specific package
-        if (hash && !params.toString()) {
-            // Filter to show only the specific package
-            this.filteredPackages = this.packages.filter(pkg => {
-                const cardId = pkg.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-                return cardId === hash;
-            });
-            this.renderPackages();
-            
-            // Scroll to the package
-            setTimeout(() => {
-                const element = document.getElementById(hash);
-                if (element) {
-                    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                    element.style.animation = 'highlight 2s ease';
-                }
-            }, 300);
-            return;
+
+        // The selection survives navigation, so load it before any early return
+        this.loadSelection(params);
+
+        // Load the Unity editor version: a shared link wins over the saved preference;
+        // pages such as the comparison use it too
+        const preference = this.loadUnityPreference();
+        const editorVersion = params.has('unity') ? params.get('unity') : preference.version;
+        this.editorVersion = unityVersion.parse(editorVersion) ? editorVersion : '';
+        this.showIncompatible = params.has('unity')
+            ? params.get('incompatible') === 'show'
+            : preference.showIncompatible;
+        this.buildUnityOptions();
+
+        switch (route.name) {
+            case 'package':
+                this.showPackageDetail(route.arg);
+                return;
+            case 'author':
+                this.showAuthor(route.arg);
+                return;
+            case 'authors':
+                this.showPage('authorsView', 'Authors', 'Everyone publishing packages on Unity Forge');
+                authorDirectory.renderIndex(this.packages);
+                return;
+            case 'stats':
+                this.showPage('statsView', 'Download Leaderboard', 'Unity Forge packages ranked by downloads');
+                downloadStats.render(this.packages.filter(pkg => this.supportsDownloads(pkg)));
+                return;
+            case 'outdated':
+                this.showPage('outdatedView', 'Check Project', 'Find outdated Unity Forge packages in a project manifest');
+                outdatedChecker.render(this.packages);
+                return;
+            case 'diagnostics':
+                this.showPage('diagnosticsView', 'Diagnostics');
+                diagnosticsView.render(this.repositories, this.diagnostics);
+                return;
+            case 'submit':
+                this.showPage('submitView', 'Submit a Package', 'Check a Unity package repository and submit it to Unity Forge');
+                submissionHelper.render();
+                return;
+            case 'compare': {
+                // The URL is the comparison, so a shared link restores it
+                const names = [...new Set(router.parseList(route.arg))].slice(0, compareView.maxPackages);
+                const packages = names.map(name => this.packages.find(pkg => pkg.name === name)).filter(Boolean);
+                this.compareList = packages.map(pkg => pkg.name);
+                this.renderCompareBar();
+
+                this.showPage('compareView', 'Compare', `Comparing ${packages.map(pkg => pkg.displayName || pkg.name).join(', ')}`);
+                compareView.render(packages, {
+                    missing: names.filter(name => !this.compareList.includes(name)),
+                    editorVersion: this.editorVersion
+                });
+                return;
+            }
         }
-        
+
+        this.showPage(null);
+
         // Load search query
         const searchQuery = params.get('search') || params.get('q');
         if (searchQuery) {
@@ -213,43 +622,35 @@ class RepositoryLoader {
             searchInput.value = searchQuery;
         }
 
-        // Load tag filters
+        // Load tag filters: included, excluded and the match mode
         const tags = params.get('tags');
-        if (tags) {
-            const tagArray = tags.split(',').map(t => t.trim()).filter(t => t);
-            tagArray.forEach(tag => {
-                if (this.allTags.has(tag)) {
-                    this.selectedTags.add(tag);
-                }
-            });
-
-            // Update UI to show active tags
-            const newTagButtons = document.querySelectorAll('.tag-filter');
-            newTagButtons.forEach(btn => {
-                if (this.selectedTags.has(btn.textContent)) {
-                    btn.classList.add('active');
-                }
-            });
+        const excludedTags = params.get('exclude');
+        this.parseTagList(tags).forEach(tag => this.selectedTags.add(tag));
+        this.parseTagList(excludedTags).forEach(tag => this.excludedTags.add(tag));
+        if (params.get('match') === 'all') {
+            this.tagMode = 'all';
         }
 
-        // Apply filters if any were loaded from URL, otherwise just render all
-        if (searchQuery || tags) {
-            this.applyFilters();
-        } else {
-            this.filteredPackages = [...this.packages];
-            this.renderPackages();
+        // Load sort order, ignoring unknown values
+        const sort = params.get('sort');
+        if (sort && this.parseSortMode(sort)) {
+            this.sortMode = sort;
         }
+        document.getElementById('sortSelect').value = this.sortMode;
 
-        // Scroll to specific package if hash is present (with search/tags)
-        if (hash) {
-            setTimeout(() => {
-                const element = document.getElementById(hash);
-                if (element) {
-                    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
-                    element.style.animation = 'highlight 2s ease';
-                }
-            }, 300);
-        }
+        // Filters also refresh the tag buttons, so run them even when empty
+        this.applyFilters();
+    }
+
+    /**
+     * Resolve a #<slug> link from before permalinks
+     * Slugs could collide; the first package in repository.json order wins, as it did then.
+     * @param {string} slug - Hash without the #
+     * @returns {string|null} - Package name, or null if no package had that slug
+     */
+    findLegacySlug(slug) {
+        const pkg = this.packages.find(item => item.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') === slug);
+        return pkg ? pkg.name : null;
     }
 
     /**
@@ -268,132 +669,458 @@ class RepositoryLoader {
         if (this.selectedTags.size > 0) {
             params.set('tags', Array.from(this.selectedTags).sort().join(','));
         }
+        if (this.excludedTags.size > 0) {
+            params.set('exclude', Array.from(this.excludedTags).sort().join(','));
+        }
+        if (this.tagMode === 'all') {
+            params.set('match', 'all');
+        }
+
+        // Add sort order
+        if (this.sortMode) {
+            params.set('sort', this.sortMode);
+        }
+
+        if (this.favoritesOnly) {
+            params.set('favorites', '1');
+        }
+
+        // Add selected packages
+        if (this.selectedPackages.size > 0) {
+            params.set('select', Array.from(this.selectedPackages).join(','));
+        }
 
-        // Update URL without reloading page
+        // Add Unity editor version
+        if (this.editorVersion) {
+            params.set('unity', this.editorVersion);
+            if (this.showIncompatible) {
+                params.set('incompatible', 'show');
+            }
+        }
+
+        // Update URL without reloading page; the grid already shows this state
         const newURL = params.toString() 
             ? `${window.location.pathname}?${params.toString()}`
             : window.location.pathname;
         
-        window.history.pushState({}, '', newURL);
+        router.navigate(newURL, false, false);
     }
 
     /**
-     * Render all packages as cards
+     * Show the detail view for a package
+     * @param {string} packageName - Package name from package.json
      */
-    async renderPackages() {
-        const container = document.getElementById('packagesContainer');
-        container.innerHTML = '';
+    showPackageDetail(packageName) {
+        const pkg = this.packages.find(p => p.name === packageName);
 
-        if (this.filteredPackages.length === 0) {
-            container.innerHTML = '<div class="no-results">No packages found matching your criteria.</div>';
+        if (!pkg) {
+            this.showError(`Package not found: ${packageName}`);
+            this.showPage(null);
+            this.filteredPackages = [...this.packages];
+            this.renderPackages();
             return;
         }
 
-        for (const pkg of this.filteredPackages) {
-            const card = await this.createPackageCard(pkg);
-            container.appendChild(card);
-        }
+        this.showPage('packageDetail', pkg.displayName || pkg.name, pkg.description);
+        packageDetailView.render(pkg, this.getReleaseUrl(pkg), this.getPackageSource(pkg));
     }
 
     /**
-     * Create a package card element
-     * @param {object} pkg - Package data
-     * @returns {Promise<HTMLElement>} - Card element
+     * Show the page of an author
+     * @param {string} key - Author key from ?author=
      */
-    async createPackageCard(pkg) {
-        const card = document.createElement('div');
-        card.className = 'package-card';
-        
-        // Create a URL-friendly ID from package name
-        const cardId = pkg.name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-        card.id = cardId;
+    showAuthor(key) {
+        const author = authorDirectory.find(this.packages, key);
 
-        // Fetch download count
-        let downloadCount = 0;
-        if (pkg.links && pkg.links.release) {
-            downloadCount = await downloadCounter.fetchDownloadCount(pkg.links.release);
+        if (!author) {
+            this.showError(`Author not found: ${key}`);
+            this.showPage(null);
+            this.filteredPackages = [...this.packages];
+            this.renderPackages();
+            return;
         }
 
-        // Support both old and new formats
-        const displayName = pkg.displayName || pkg.name;
-        const packageName = pkg.name;
-        const authorName = pkg.author?.name || pkg.author || 'Unknown';
-        const tags = pkg.keywords || pkg.tags || [];
-
-        // Create card HTML
-        card.innerHTML = `
-            <div class="card-image">
-                <img src="${pkg.icon || 'https://via.placeholder.com/400x200?text=No+Image'}" 
-                     alt="${displayName}" 
-                     onerror="this.src='https://via.placeholder.com/400x200?text=No+Image'">
-            </div>
-            <div class="card-content">
-                <div class="card-header">
-                    <h2 class="package-name">${displayName}</h2>
-                    <p class="package-author">by ${authorName}</p>
-                    <p class="package-description">${pkg.description}</p>
-                </div>
-                
-                <div class="package-meta">
-                    <span class="status-badge">${pkg.status || 'unknown'}</span>
-                    <span class="version-tag">v${pkg.version}</span>
-                    <span class="download-count">
-                        <i class="fas fa-download"></i> ${downloadCounter.formatCount(downloadCount)}
-                    </span>
-                </div>
-
-                <div class="package-tags">
-                    ${this.renderTags(tags)}
-                </div>
+        const count = author.packages.length;
+        this.showPage('authorView', author.name, `${count} Unity package${count === 1 ? '' : 's'} by ${author.name}`);
+        authorDirectory.renderAuthor(author);
+    }
 
-                <div class="card-actions">
-                    ${this.renderActionButtons(pkg.links)}
-                    <button class="action-btn share-btn" title="Copy link to this package">
-                        <i class="fas fa-share-alt"></i>
-                    </button>
-                </div>
-            </div>
-        `;
+    /**
+     * Show a full-page view in place of the grid
+     * @param {string|null} pageId - Element ID of the page view, or null for the grid
+     * @param {string} title - Page title prefix
+     * @param {string|null} description - Page description for the meta tags
+     */
+    showPage(pageId, title, description = null) {
+        document.querySelectorAll('.page-view').forEach(page => {
+            page.classList.toggle('hidden', page.id !== pageId);
+        });
+        document.body.classList.toggle('page-open', pageId !== null);
 
-        // Add share button functionality only
-        const shareBtn = card.querySelector('.share-btn');
-        if (shareBtn) {
-            shareBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.sharePackage(cardId);
-            });
+        if (pageId) {
+            router.setMeta(title, description);
+            window.scrollTo(0, 0);
+        } else {
+            router.setMeta(null);
         }
-
-        return card;
     }
 
     /**
-     * Share a specific package by copying its URL to clipboard
-     * @param {string} packageId - Package card ID
+     * Navigate to the detail view of a package
+     * @param {string} packageName - Package name from package.json
      */
-    async sharePackage(packageId) {
-        const url = `${window.location.origin}${window.location.pathname}#${packageId}`;
-        
-        try {
-            await navigator.clipboard.writeText(url);
-            this.showNotification('Link copied to clipboard!');
-        } catch (err) {
-            console.error('Failed to copy link:', err);
-            // Fallback for older browsers
-            const textarea = document.createElement('textarea');
-            textarea.value = url;
-            textarea.style.position = 'fixed';
-            textarea.style.opacity = '0';
-            document.body.appendChild(textarea);
-            textarea.select();
-            try {
-                document.execCommand('copy');
-                this.showNotification('Link copied to clipboard!');
-            } catch (e) {
-                this.showNotification('Failed to copy link', true);
-            }
-            document.body.removeChild(textarea);
-        }
+    openPackage(packageName) {
+        router.navigate(router.href('package', packageName));
+    }
+
+    /**
+     * Navigate to the page of an author
+     * @param {string|null} key - Author key (see authorDirectory.getKey), or null for the authors index
+     */
+    openAuthor(key) {
+        router.navigate(key === null ? router.href('authors') : router.href('author', key));
+    }
+
+    /**
+     * Navigate from a page view back to the grid
+     * Page routes keep the grid's query string, so dropping the route restores the filters.
+     */
+    closePackage() {
+        router.navigate(router.href('grid'));
+    }
+
+    /**
+     * Render all packages as cards
+     * @param {boolean} showFailed - Also show cards for repositories that failed to load
+     */
+    renderPackages(showFailed = false) {
+        const container = document.getElementById('packagesContainer');
+        container.innerHTML = '';
+
+        const failed = showFailed
+            ? this.repositories.filter(repoKey => !this.packagesByRepo.has(repoKey))
+            : [];
+
+        if (this.filteredPackages.length === 0 && failed.length === 0) {
+            container.innerHTML = this.favoritesOnly && watchlist.entries.size === 0
+                ? '<div class="no-results">No favorites yet. Star a package to watch it for new releases.</div>'
+                : '<div class="no-results">No packages found matching your criteria.</div>';
+            return;
+        }
+
+        // Cards render at once; download counts fill in as they arrive
+        const fragment = document.createDocumentFragment();
+        this.filteredPackages.forEach(pkg => fragment.appendChild(this.createPackageCard(pkg)));
+        failed.forEach(repoKey => fragment.appendChild(this.createFailedCard(repoKey)));
+        container.appendChild(fragment);
+    }
+
+    /**
+     * Render a loading card for every repository
+     */
+    renderLoadingCards() {
+        const container = document.getElementById('packagesContainer');
+        container.innerHTML = '';
+
+        this.repositories.forEach(repoKey => container.appendChild(this.createLoadingCard(repoKey)));
+    }
+
+    /**
+     * Replace the card of a repository that is still loading or failed
+     * @param {string} repoKey - Repository key (see repositoryResolver.getKey)
+     * @param {HTMLElement} card - New card
+     */
+    replaceRepositoryCard(repoKey, card) {
+        const existing = Array.from(document.querySelectorAll('.state-card'))
+            .find(el => el.dataset.repository === repoKey);
+
+        if (existing) {
+            existing.replaceWith(card);
+        }
+    }
+
+    /**
+     * Create a placeholder card for a repository that is loading
+     * @param {string} repoKey - Repository key (see repositoryResolver.getKey)
+     * @returns {HTMLElement} - Card element
+     */
+    createLoadingCard(repoKey) {
+        const card = this.createStateCard(repoKey, 'loading');
+        card.querySelector('.package-description').innerHTML =
+            '<span class="spinner spinner-small"></span> Loading package...';
+        return card;
+    }
+
+    /**
+     * Create a card for a repository that failed to load, with a retry button
+     * @param {string} repoKey - Repository key (see repositoryResolver.getKey)
+     * @returns {HTMLElement} - Card element
+     */
+    createFailedCard(repoKey) {
+        const card = this.createStateCard(repoKey, 'failed');
+        const diagnostics = this.diagnostics.get(repoKey);
+        const reason = diagnostics && diagnostics.status === 'invalid'
+            ? `Invalid package.json: ${diagnostics.errors.join('; ')}`
+            : `Failed to load: ${diagnostics ? diagnostics.errors.join('; ') : 'unknown error'}`;
+
+        card.querySelector('.package-description').textContent = reason;
+        card.querySelector('.card-actions').innerHTML = `
+            <button class="action-btn retry-btn" title="Try loading this package again">
+                <i class="fas fa-redo"></i> Retry
+            </button>
+        `;
+        card.querySelector('.retry-btn').addEventListener('click', () => this.retryRepository(repoKey));
+
+        return card;
+    }
+
+    /**
+     * Create the common shell of a loading or failed card
+     * @param {string} repoKey - Repository key (see repositoryResolver.getKey)
+     * @param {string} state - 'loading' or 'failed'
+     * @returns {HTMLElement} - Card element
+     */
+    createStateCard(repoKey, state) {
+        const card = document.createElement('div');
+        card.className = `package-card state-card state-${state}`;
+        card.dataset.repository = repoKey;
+
+        card.innerHTML = `
+            <div class="card-content">
+                <div class="card-header">
+                    <h2 class="package-name"></h2>
+                    <p class="package-author"></p>
+                    <p class="package-description"></p>
+                </div>
+                <div class="card-actions"></div>
+            </div>
+        `;
+
+        // Show "owner/repo" rather than the full URL
+        const shortName = repoKey.replace(/^https?:\/\/(www\.)?[^\/]+\//, '').replace(/\/$/, '');
+        card.querySelector('.package-name').textContent = shortName;
+        card.querySelector('.package-author').textContent = repoKey;
+
+        return card;
+    }
+
+    /**
+     * Create a package card element
+     * @param {object} pkg - Package data
+     * @param {object|null} source - Resolved repository source; defaults to the package's catalog entry
+     * @returns {HTMLElement} - Card element
+     */
+    createPackageCard(pkg, source = this.getPackageSource(pkg)) {
+        const card = document.createElement('div');
+        card.className = 'package-card';
+        
+        card.id = this.getCardId(pkg.name);
+
+        // Support both old and new formats
+        const displayName = pkg.displayName || pkg.name;
+        const packageName = pkg.name;
+        const tags = pkg.keywords || pkg.tags || [];
+
+        // Everything from package.json is third-party content: escape it all
+        const esc = (value) => safeHtml.escape(value);
+
+        // Create card HTML
+        card.innerHTML = `
+            <div class="card-image">
+                <img src="${esc(safeHtml.safeImageUrl(pkg.icon, this.placeholderImage))}" 
+                     alt="${esc(displayName)}">
+                <label class="select-toggle" title="Select for manifest.json export">
+                    <input type="checkbox" class="select-checkbox" ${this.selectedPackages.has(packageName) ? 'checked' : ''}>
+                </label>
+            </div>
+            <div class="card-content">
+                <div class="card-header">
+                    <h2 class="package-name">
+                        <a href="${esc(router.href('package', packageName))}" class="package-link">${esc(displayName)}</a>
+                    </h2>
+                    <p class="package-author">by ${authorDirectory.renderLink(pkg)}</p>
+                    <p class="package-description">${esc(pkg.description)}</p>
+                </div>
+                
+                <div class="package-meta">
+                    <span class="status-badge">${esc(pkg.status || 'unknown')}</span>
+                    <span class="version-tag">v${esc(pkg.version)}</span>
+                    ${this.renderUnityBadge(pkg)}
+                    ${this.renderUpdateBadge(pkg)}
+                    ${this.supportsDownloads(pkg) ? `
+                    <span class="download-count">
+                        <i class="fas fa-download"></i> <span class="count-value">...</span>
+                    </span>` : ''}
+                </div>
+
+                ${this.renderTrend(pkg)}
+
+                <div class="package-tags">
+                    ${this.renderTags(tags)}
+                </div>
+
+                <div class="card-actions">
+                    ${this.renderActionButtons(pkg.links)}
+                    ${installSnippets.isAvailable(source) ? `
+                    <button class="action-btn install-btn" title="Add to Unity">
+                        <i class="fab fa-unity"></i>
+                    </button>` : ''}
+                    <button class="action-btn favorite-btn${watchlist.has(packageName) ? ' active' : ''}"
+                            title="${watchlist.has(packageName) ? 'Remove from favorites' : 'Add to favorites and watch for updates'}">
+                        <i class="${watchlist.has(packageName) ? 'fas' : 'far'} fa-star"></i>
+                    </button>
+                    <button class="action-btn compare-btn${this.compareList.includes(packageName) ? ' active' : ''}" title="Compare with other packages">
+                        <i class="fas fa-balance-scale"></i>
+                    </button>
+                    <button class="action-btn share-btn" title="Copy link to this package">
+                        <i class="fas fa-share-alt"></i>
+                    </button>
+                </div>
+
+                <div class="install-panel hidden"></div>
+            </div>
+        `;
+
+        // Fill in the download count once release data arrives
+        if (this.supportsDownloads(pkg)) {
+            this.getReleaseStats(pkg).then(stats => this.showDownloadCount(card, stats.downloads));
+        }
+
+        // Fall back to the placeholder if the icon fails to load
+        const image = card.querySelector('.card-image img');
+        image.addEventListener('error', () => {
+            if (image.src !== this.placeholderImage) {
+                image.src = this.placeholderImage;
+            }
+        });
+
+        // Open the detail view without a full page load
+        const packageLink = card.querySelector('.package-link');
+        packageLink.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.openPackage(packageName);
+        });
+
+        const authorLink = card.querySelector('.author-link');
+        if (authorLink) {
+            authorLink.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.openAuthor(authorLink.dataset.author);
+            });
+        }
+
+        // Tick to add to the selection tray
+        card.querySelector('.select-checkbox').addEventListener('change', (e) => {
+            this.toggleSelection(packageName, e.target.checked);
+        });
+
+        // Install snippets are built on first open, once releases are known
+        const installBtn = card.querySelector('.install-btn');
+        if (installBtn) {
+            installBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleInstallPanel(pkg, source, card.querySelector('.install-panel'));
+            });
+        }
+
+        card.classList.toggle('has-update', watchlist.getUpdate(pkg) !== null);
+        card.querySelector('.favorite-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleFavorite(pkg, e.currentTarget);
+        });
+
+        card.querySelector('.compare-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleCompare(packageName, e.currentTarget);
+        });
+
+        // Add share button functionality
+        const shareBtn = card.querySelector('.share-btn');
+        if (shareBtn) {
+            shareBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.sharePackage(packageName);
+            });
+        }
+
+        return card;
+    }
+
+    /**
+     * Share a specific package by copying its permalink to clipboard
+     * @param {string} packageName - Package name from package.json
+     */
+    async sharePackage(packageName) {
+        const url = `${window.location.origin}${window.location.pathname}${router.href('package', packageName)}`;
+        await this.copyToClipboard(url, 'Link');
+    }
+
+    /**
+     * Build the element ID of a package card
+     * Characters other than lowercase letters, digits, "." and "-" are escaped,
+     * so different package names always get different IDs.
+     * @param {string} packageName - Package name from package.json
+     * @returns {string} - e.g. "package-com.unityforge.rest-api"
+     */
+    getCardId(packageName) {
+        return 'package-' + packageName.replace(/[^a-z0-9.-]/g, char => `_${char.charCodeAt(0).toString(16)}_`);
+    }
+
+    /**
+     * Copy text to the clipboard and confirm with a notification
+     * @param {string} text - Text to copy
+     * @param {string} label - What is being copied, e.g. "Link"
+     */
+    async copyToClipboard(text, label) {
+        try {
+            await navigator.clipboard.writeText(text);
+            this.showNotification(`${label} copied to clipboard!`);
+        } catch (err) {
+            console.error(`Failed to copy ${label.toLowerCase()}:`, err);
+            // Fallback for older browsers
+            const textarea = document.createElement('textarea');
+            textarea.value = text;
+            textarea.style.position = 'fixed';
+            textarea.style.opacity = '0';
+            document.body.appendChild(textarea);
+            textarea.select();
+            try {
+                document.execCommand('copy');
+                this.showNotification(`${label} copied to clipboard!`);
+            } catch (e) {
+                this.showNotification(`Failed to copy ${label.toLowerCase()}`, true);
+            }
+            document.body.removeChild(textarea);
+        }
+    }
+
+    /**
+     * Show or hide the install panel of a card, building it on first open
+     * @param {object} pkg - Package data
+     * @param {object} source - Resolved repository source
+     * @param {HTMLElement} panel - The card's install panel
+     */
+    async toggleInstallPanel(pkg, source, panel) {
+        panel.classList.toggle('hidden');
+        if (panel.classList.contains('hidden') || panel.dataset.ready) {
+            return;
+        }
+
+        panel.dataset.ready = 'true';
+        panel.innerHTML = '<span class="spinner spinner-small"></span> Loading versions...';
+
+        // Usually already fetched for the download count
+        let releases = [];
+        const releaseUrl = this.getReleaseUrl(pkg);
+        if (releaseUrl) {
+            try {
+                releases = await downloadCounter.fetchReleases(releaseUrl);
+            } catch (error) {
+                console.error(`Error loading releases for ${pkg.name}:`, error);
+            }
+        }
+
+        installSnippets.render(panel, pkg, source, releases);
     }
 
     /**
@@ -434,7 +1161,7 @@ class RepositoryLoader {
     renderTags(tags) {
         if (!tags || !Array.isArray(tags)) return '';
         
-        return tags.map(tag => `<span class="tag">${tag}</span>`).join('');
+        return tags.map(tag => `<span class="tag">${safeHtml.escape(tag)}</span>`).join('');
     }
 
     /**
@@ -447,25 +1174,30 @@ class RepositoryLoader {
 
         let buttons = '';
 
-        if (links.download) {
+        // Only http(s) links are rendered, so javascript: and data: URLs are dropped
+        const download = safeHtml.safeUrl(links.download);
+        const github = safeHtml.safeUrl(links.github);
+        const documentation = safeHtml.safeUrl(links.documentation);
+
+        if (download) {
             buttons += `
-                <a href="${links.download}" class="action-btn" download>
+                <a href="${safeHtml.escape(download)}" class="action-btn" download>
                     <i class="fas fa-download"></i>
                 </a>
             `;
         }
 
-        if (links.github) {
+        if (github) {
             buttons += `
-                <a href="${links.github}" class="action-btn" target="_blank" rel="noopener">
+                <a href="${safeHtml.escape(github)}" class="action-btn" target="_blank" rel="noopener">
                     <i class="fab fa-github"></i>
                 </a>
             `;
         }
 
-        if (links.documentation) {
+        if (documentation) {
             buttons += `
-                <a href="${links.documentation}" class="action-btn" target="_blank" rel="noopener">
+                <a href="${safeHtml.escape(documentation)}" class="action-btn" target="_blank" rel="noopener">
                     <i class="fas fa-book"></i>
                 </a>
             `;
@@ -480,80 +1212,818 @@ class RepositoryLoader {
     buildTagsList() {
         const tagsList = document.getElementById('tagsList');
         tagsList.innerHTML = '';
+        this.tagButtons.clear();
 
         Array.from(this.allTags).sort().forEach(tag => {
             const tagBtn = document.createElement('button');
             tagBtn.className = 'tag-filter';
-            tagBtn.textContent = tag;
-            tagBtn.addEventListener('click', () => this.toggleTag(tag, tagBtn));
+            tagBtn.dataset.tag = tag;
+
+            const label = document.createElement('span');
+            label.textContent = tag;
+            const count = document.createElement('span');
+            count.className = 'tag-count';
+            tagBtn.append(label, count);
+
+            tagBtn.addEventListener('click', () => this.toggleTag(tag));
             tagsList.appendChild(tagBtn);
+            this.tagButtons.set(tag, tagBtn);
         });
     }
 
     /**
-     * Toggle tag selection
+     * Parse a comma-separated tag list from the URL, keeping known tags only
+     * Matched regardless of case, since author pages link tags in lowercase.
+     * @param {string|null} value - URL parameter value
+     * @returns {Array} - Tags as spelled in the catalog
+     */
+    parseTagList(value) {
+        if (!value) return [];
+
+        const wanted = new Set(value.split(',').map(t => t.trim().toLowerCase()).filter(Boolean));
+        return Array.from(this.allTags).filter(tag => wanted.has(tag.toLowerCase()));
+    }
+
+    /**
+     * Cycle a tag through include, exclude and off
      * @param {string} tag - Tag name
-     * @param {HTMLElement} button - Button element
      */
-    toggleTag(tag, button) {
+    toggleTag(tag) {
         if (this.selectedTags.has(tag)) {
             this.selectedTags.delete(tag);
-            button.classList.remove('active');
+            this.excludedTags.add(tag);
+        } else if (this.excludedTags.has(tag)) {
+            this.excludedTags.delete(tag);
         } else {
             this.selectedTags.add(tag);
-            button.classList.add('active');
         }
 
         this.updateURL();
         this.applyFilters();
     }
 
+    /**
+     * Switch between matching any or all selected tags
+     * @param {string} mode - 'any' or 'all'
+     */
+    setTagMode(mode) {
+        this.tagMode = mode;
+
+        this.updateURL();
+        this.applyFilters();
+    }
+
+    /**
+     * Check a package's tags against the tag filters
+     * @param {Array} tags - Package tags
+     * @param {string|null} ignoreTag - Tag whose own state is ignored (used for counts)
+     * @returns {boolean} - True if the package passes
+     */
+    matchesTagFilters(tags, ignoreTag = null) {
+        if (tags.some(tag => tag !== ignoreTag && this.excludedTags.has(tag))) {
+            return false;
+        }
+
+        const included = Array.from(this.selectedTags).filter(tag => tag !== ignoreTag);
+        if (included.length === 0) {
+            return true;
+        }
+
+        return this.tagMode === 'all'
+            ? included.every(tag => tags.includes(tag))
+            : included.some(tag => tags.includes(tag));
+    }
+
+    /**
+     * Update tag button states and result counts
+     * @param {Array} searchMatches - Packages matching the search query
+     */
+    updateTagButtons(searchMatches) {
+        this.tagButtons.forEach((button, tag) => {
+            // How many results this tag would contribute: in "any" mode tags
+            // add to each other, in "all" mode they narrow the current results
+            const count = searchMatches.filter(pkg => {
+                const tags = pkg.keywords || pkg.tags || [];
+                if (!tags.includes(tag)) return false;
+
+                return this.tagMode === 'all'
+                    ? this.matchesTagFilters(tags, tag)
+                    : !tags.some(t => t !== tag && this.excludedTags.has(t));
+            }).length;
+
+            button.classList.toggle('active', this.selectedTags.has(tag));
+            button.classList.toggle('excluded', this.excludedTags.has(tag));
+            button.classList.toggle('empty', count === 0);
+            button.querySelector('.tag-count').textContent = count;
+            button.title = this.selectedTags.has(tag) ? 'Included: click to exclude'
+                : this.excludedTags.has(tag) ? 'Excluded: click to clear'
+                : 'Click to include';
+        });
+
+        document.querySelectorAll('.tag-mode-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === this.tagMode);
+        });
+    }
+
     /**
      * Clear all filters
      */
     clearFilters() {
         this.selectedTags.clear();
-        
-        const tagButtons = document.querySelectorAll('.tag-filter');
-        tagButtons.forEach(btn => btn.classList.remove('active'));
+        this.excludedTags.clear();
+        this.tagMode = 'any';
+        this.sortMode = '';
+        this.favoritesOnly = false;
 
         document.getElementById('searchInput').value = '';
+        document.getElementById('sortSelect').value = '';
         
         // Clear URL (including hash)
-        window.history.pushState({}, '', window.location.pathname);
+        router.navigate(window.location.pathname, false, false);
         
         // Show all packages
-        this.filteredPackages = [...this.packages];
-        this.renderPackages();
+        this.applyFilters();
+    }
+
+    /**
+     * Apply current filters and sort order
+     */
+    async applyFilters() {
+        // Sorting may wait on release data; only the latest call gets to render
+        const run = ++this.filterRun;
+        this.updateFeedLink();
+
+        const query = searchQuery.parse(document.getElementById('searchInput').value);
+
+        // Search filter (see searchquery.js for the query syntax), dropping
+        // packages that need a newer editor unless they are only marked
+        const searchMatches = this.packages.filter(pkg => searchQuery.matches(pkg, query) &&
+            (this.showIncompatible || unityVersion.isCompatible(pkg, this.editorVersion)) &&
+            (!this.favoritesOnly || watchlist.has(pkg.name)));
+
+        // Tag filter, supporting both old and new formats
+        this.filteredPackages = searchMatches.filter(pkg =>
+            this.matchesTagFilters(pkg.keywords || pkg.tags || []));
+
+        this.updateTagButtons(searchMatches);
+
+        // Rank by relevance; ties keep repository.json order
+        if (query.terms.length > 0 || query.phrases.length > 0) {
+            const scores = new Map(this.filteredPackages.map(pkg => [pkg, searchQuery.score(pkg, query)]));
+            this.filteredPackages.sort((a, b) => scores.get(b) - scores.get(a));
+        }
+
+        // An explicit sort order overrides relevance
+        const sorted = await this.sortPackages(this.filteredPackages);
+        if (run !== this.filterRun) {
+            return;
+        }
+
+        this.filteredPackages = sorted;
+
+        // Failed repositories stay visible, with a retry button, until the user narrows the list
+        const unfiltered = searchQuery.isEmpty(query) && this.selectedTags.size === 0 &&
+            this.excludedTags.size === 0 && !this.favoritesOnly;
+        this.renderFavoritesBar();
+        this.renderPackages(unfiltered);
+    }
+
+    /**
+     * Point the header feed link at the per-tag feed while exactly one tag is selected
+     */
+    updateFeedLink() {
+        const tag = this.selectedTags.size === 1 && this.excludedTags.size === 0
+            ? Array.from(this.selectedTags)[0]
+            : null;
+
+        const link = document.getElementById('feedLink');
+        link.href = releaseFeed.getFeedPath(tag, 'atom');
+        link.title = tag ? `Atom feed of new "${tag}" releases` : 'Atom feed of new releases';
+    }
+
+    /**
+     * Split a sort mode such as "downloads-desc" into key and direction
+     * @param {string} mode - Sort mode
+     * @returns {object|null} - {key, descending}, or null if unknown
+     */
+    parseSortMode(mode) {
+        const match = /^(name|downloads|version|released|trending)-(asc|desc)$/.exec(mode || '');
+        return match ? { key: match[1], descending: match[2] === 'desc' } : null;
+    }
+
+    /**
+     * Load the selection from the URL, or from localStorage if the URL has none
+     * @param {URLSearchParams} params - Current URL parameters
+     */
+    loadSelection(params) {
+        let names = [];
+        if (params.has('select')) {
+            names = params.get('select').split(',');
+        } else {
+            try {
+                names = JSON.parse(localStorage.getItem(this.selectionKey)) || [];
+            } catch (error) {
+                names = [];
+            }
+        }
+
+        // Keep packages that are still in the catalog
+        const known = new Set(this.packages.map(pkg => pkg.name));
+        this.selectedPackages = new Set(names.map(name => String(name).trim()).filter(name => known.has(name)));
+        this.renderSelectionTray();
+    }
+
+    /**
+     * Save the selection to localStorage
+     */
+    saveSelection() {
+        try {
+            localStorage.setItem(this.selectionKey, JSON.stringify(Array.from(this.selectedPackages)));
+        } catch (error) {
+            console.warn('Could not save selection:', error.message);
+        }
     }
 
     /**
-     * Apply current filters
+     * Add or remove a package from the selection
+     * @param {string} packageName - Package name
+     * @param {boolean} selected - Whether it should be selected
      */
-    applyFilters() {
-        const searchTerm = document.getElementById('searchInput').value.toLowerCase();
+    toggleSelection(packageName, selected) {
+        if (selected) {
+            this.selectedPackages.add(packageName);
+        } else {
+            this.selectedPackages.delete(packageName);
+        }
+
+        this.saveSelection();
+        this.updateURL();
+        this.renderSelectionTray();
+    }
+
+    /**
+     * Empty the selection
+     */
+    clearSelection() {
+        this.selectedPackages.clear();
+        document.querySelectorAll('.select-checkbox').forEach(checkbox => {
+            checkbox.checked = false;
+        });
+
+        this.saveSelection();
+        this.updateURL();
+        this.renderSelectionTray();
+    }
+
+    /**
+     * Show the selection tray with selected packages and the dependencies they pull in
+     */
+    renderSelectionTray() {
+        const tray = document.getElementById('selectionTray');
+        tray.classList.toggle('hidden', this.selectedPackages.size === 0);
+        if (this.selectedPackages.size === 0) {
+            return;
+        }
+
+        const selection = manifestExport.resolveSelection(Array.from(this.selectedPackages));
+        const count = this.selectedPackages.size;
+        document.getElementById('selectionCount').textContent =
+            `${count} package${count === 1 ? '' : 's'} selected` +
+            (selection.added.length > 0 ? `, ${selection.added.length} added as dependencies` : '');
+
+        const list = document.getElementById('selectionList');
+        list.innerHTML = '';
+        selection.packages.forEach(pkg => {
+            const chip = document.createElement('span');
+            const added = !this.selectedPackages.has(pkg.name);
+            chip.className = 'selection-chip' + (added ? ' added' : '');
+            chip.textContent = pkg.displayName || pkg.name;
+            chip.title = added ? `${pkg.name} (required by the selection)` : pkg.name;
+
+            if (!added) {
+                const remove = document.createElement('button');
+                remove.className = 'selection-remove';
+                remove.title = 'Remove from selection';
+                remove.innerHTML = '&times;';
+                remove.addEventListener('click', () => {
+                    const card = document.getElementById(this.getCardId(pkg.name));
+                    if (card) {
+                        card.querySelector('.select-checkbox').checked = false;
+                    }
+                    this.toggleSelection(pkg.name, false);
+                });
+                chip.appendChild(remove);
+            }
+
+            list.appendChild(chip);
+        });
+
+        document.getElementById('selectionWarnings').textContent = selection.missing.length > 0
+            ? `Not in the catalog, install separately: ${selection.missing.map(m => `${m.name} (needed by ${m.by})`).join(', ')}`
+            : '';
+    }
+
+    /**
+     * Build manifest.json entries for the selection and its dependencies
+     * @returns {Promise<object>} - {manifest, skipped}; skipped lists packages without an install source
+     */
+    async buildSelectionManifest() {
+        const selection = manifestExport.resolveSelection(Array.from(this.selectedPackages));
+
+        const entries = await Promise.all(selection.packages.map(async pkg => {
+            // Usually cached from the download counts
+            let releases = [];
+            const releaseUrl = this.getReleaseUrl(pkg);
+            if (releaseUrl) {
+                try {
+                    releases = await this.releaseQueue.run(() => downloadCounter.fetchReleases(releaseUrl));
+                } catch (error) {
+                    console.error(`Error loading releases for ${pkg.name}:`, error);
+                }
+            }
+
+            const entry = manifestExport.getEntry(pkg, this.getPackageSource(pkg), releases);
+            return entry ? Object.assign({ name: pkg.name }, entry) : { name: pkg.name, skipped: true };
+        }));
+
+        return {
+            manifest: manifestExport.buildManifest(entries.filter(entry => !entry.skipped)),
+            skipped: entries.filter(entry => entry.skipped).map(entry => entry.name)
+        };
+    }
+
+    /**
+     * Download a manifest.json fragment for the selection
+     */
+    async exportSelection() {
+        const { manifest, skipped } = await this.buildSelectionManifest();
+        manifestExport.download('manifest.json', manifest);
+        this.notifySkipped(skipped);
+    }
+
+    /**
+     * Merge the selection into an uploaded Packages/manifest.json and download the result
+     * @param {File} file - Uploaded manifest.json
+     */
+    async patchManifest(file) {
+        let existing;
+        try {
+            existing = JSON.parse(await file.text());
+        } catch (error) {
+            this.showNotification(`Could not read ${file.name}: ${error.message}`, true);
+            return;
+        }
+
+        try {
+            const { manifest, skipped } = await this.buildSelectionManifest();
+            manifestExport.download('manifest.json', manifestExport.merge(existing, manifest));
+            this.notifySkipped(skipped);
+        } catch (error) {
+            this.showNotification(error.message, true);
+        }
+    }
+
+    /**
+     * Tell the user which packages could not be exported
+     * @param {Array} skipped - Package names
+     */
+    notifySkipped(skipped) {
+        if (skipped.length > 0) {
+            this.showNotification(`No install source for: ${skipped.join(', ')}`, true);
+        } else {
+            this.showNotification('manifest.json ready');
+        }
+    }
+
+    /**
+     * Copy a link that restores the current selection
+     */
+    shareSelection() {
+        const params = new URLSearchParams({ select: Array.from(this.selectedPackages).join(',') });
+        this.copyToClipboard(`${window.location.origin}${window.location.pathname}?${params.toString()}`, 'Selection link');
+    }
+
+    /**
+     * Add a package to the comparison, or take it out
+     * @param {string} packageName - Package name from package.json
+     * @param {HTMLElement} button - Compare button of the card
+     */
+    toggleCompare(packageName, button) {
+        if (this.compareList.includes(packageName)) {
+            this.compareList = this.compareList.filter(name => name !== packageName);
+        } else if (this.compareList.length >= compareView.maxPackages) {
+            this.showNotification(`You can compare up to ${compareView.maxPackages} packages`, true);
+            return;
+        } else {
+            this.compareList.push(packageName);
+        }
+
+        button.classList.toggle('active', this.compareList.includes(packageName));
+        this.renderCompareBar();
+    }
+
+    /**
+     * Show the packages collected for comparison
+     */
+    renderCompareBar() {
+        const bar = document.getElementById('compareBar');
+        bar.classList.toggle('hidden', this.compareList.length === 0);
+
+        const list = document.getElementById('compareList');
+        list.innerHTML = '';
+        this.compareList.forEach(name => {
+            const pkg = this.packages.find(item => item.name === name);
+            const chip = document.createElement('span');
+            chip.className = 'selection-chip';
+            chip.textContent = pkg ? pkg.displayName || pkg.name : name;
+            list.appendChild(chip);
+        });
+
+        document.getElementById('compareCount').textContent =
+            `Compare ${this.compareList.length} of ${compareView.maxPackages}`;
+        const open = document.getElementById('openCompare');
+        open.disabled = this.compareList.length < 2;
+        open.title = open.disabled ? 'Pick at least two packages' : 'Compare side by side';
+    }
+
+    /**
+     * Star or unstar a package from its card
+     * @param {object} pkg - Package data
+     * @param {HTMLElement} button - Star button
+     */
+    toggleFavorite(pkg, button) {
+        const starred = watchlist.toggle(pkg);
+        button.classList.toggle('active', starred);
+        button.title = starred ? 'Remove from favorites' : 'Add to favorites and watch for updates';
+        button.querySelector('i').className = `${starred ? 'fas' : 'far'} fa-star`;
+
+        if (!starred) {
+            const card = button.closest('.package-card');
+            card.classList.remove('has-update');
+            card.querySelector('.update-badge')?.remove();
+            this.renderUpdatesStrip();
+        }
+
+        // An unstarred package drops out of the favorites view
+        if (this.favoritesOnly) {
+            this.applyFilters();
+        }
+    }
+
+    /**
+     * Show watched packages that released a new version since they were last seen
+     */
+    renderUpdatesStrip() {
+        const updates = watchlist.getUpdates(this.packages);
+        const strip = document.getElementById('updatesStrip');
+        strip.classList.toggle('hidden', updates.length === 0);
+
+        const list = document.getElementById('updatesList');
+        list.innerHTML = '';
+        updates.forEach(({ pkg, from, to }) => {
+            const link = document.createElement('a');
+            link.className = 'update-chip';
+            link.href = router.href('package', pkg.name);
+            link.textContent = `${pkg.displayName || pkg.name} ${from} → ${to}`;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.openPackage(pkg.name);
+            });
+            list.appendChild(link);
+        });
+    }
+
+    /**
+     * Record the current versions of watched packages and clear their update marks
+     */
+    markUpdatesSeen() {
+        watchlist.markSeen(this.packages);
+        this.renderUpdatesStrip();
+        this.applyFilters();
+    }
+
+    /**
+     * Show the favorites bar, with export and import, while in the favorites view
+     */
+    renderFavoritesBar() {
+        document.getElementById('favoritesBar').classList.toggle('hidden', !this.favoritesOnly);
+
+        const count = watchlist.entries.size;
+        document.getElementById('favoritesCount').textContent = `${count} favorite${count === 1 ? '' : 's'}`;
+    }
+
+    /**
+     * Merge an exported watchlist file into the current one
+     * @param {File} file - Uploaded watchlist JSON
+     */
+    async importWatchlist(file) {
+        let added;
+        try {
+            added = watchlist.import(JSON.parse(await file.text()));
+        } catch (error) {
+            this.showNotification(`Could not read ${file.name}: ${error.message}`, true);
+            return;
+        }
+
+        this.showNotification(`Imported ${added} favorite${added === 1 ? '' : 's'}`);
+        this.renderUpdatesStrip();
+        this.applyFilters();
+    }
+
+    /**
+     * Render the minimum Unity version of a package, marked against the selected editor
+     * @param {object} pkg - Package data
+     * @returns {string} - HTML, empty if the package declares no version
+     */
+    renderUnityBadge(pkg) {
+        const minimum = unityVersion.getMinimum(pkg);
+        if (!minimum) {
+            return '';
+        }
+
+        let state = '';
+        let title = `Requires Unity ${minimum} or newer`;
+        if (this.editorVersion) {
+            const compatible = unityVersion.isCompatible(pkg, this.editorVersion);
+            state = compatible ? 'compatible' : 'incompatible';
+            title += compatible ? ` (works in ${this.editorVersion})` : ` (not available in ${this.editorVersion})`;
+        }
+
+        return `<span class="unity-badge ${state}" title="${safeHtml.escape(title)}">
+            <i class="fab fa-unity"></i> ${safeHtml.escape(minimum)}+
+        </span>`;
+    }
+
+    /**
+     * Render the watchlist update mark of a package
+     * @param {object} pkg - Package data
+     * @returns {string} - HTML, empty unless a watched package has a newer version
+     */
+    renderUpdateBadge(pkg) {
+        const update = watchlist.getUpdate(pkg);
+        if (!update) {
+            return '';
+        }
+
+        return `<span class="update-badge" title="${safeHtml.escape(`Updated since your last visit (was ${update.from})`)}">
+            <i class="fas fa-arrow-circle-up"></i> New release
+        </span>`;
+    }
+
+    /**
+     * Render the download sparkline and weekly/monthly gains from the snapshot history
+     * @param {object} pkg - Package data
+     * @returns {string} - HTML, empty if fewer than two snapshots include the package
+     */
+    renderTrend(pkg) {
+        const series = downloadHistory.getSeries(pkg.name);
+        if (series.length < 2) {
+            return '';
+        }
+
+        const delta = (value, period) => {
+            if (value === null) return '';
+            const sign = value > 0 ? '+' : value < 0 ? '-' : '';
+            return `<span class="trend-delta ${value > 0 ? 'up' : ''}">${sign}${downloadCounter.formatCount(Math.abs(value))} ${period}</span>`;
+        };
+
+        const days = Math.round((series[series.length - 1].time - series[0].time) / downloadHistory.dayMs);
+        return `
+            <div class="download-trend">
+                ${svgChart.sparkline(series.map(point => point.downloads), { title: `Total downloads over the last ${days} days` })}
+                ${delta(downloadHistory.getDelta(pkg.name, 7), 'this week')}
+                ${delta(downloadHistory.getDelta(pkg.name, 30), 'this month')}
+            </div>
+        `;
+    }
+
+    /**
+     * Fill the Unity version selector from LTS lines and the versions packages declare
+     */
+    buildUnityOptions() {
+        const select = document.getElementById('unitySelect');
+        const versions = unityVersion.getOptions(this.packages);
+
+        // Keep a version from the URL or preferences even if nothing declares it
+        if (this.editorVersion && !versions.includes(this.editorVersion)) {
+            versions.unshift(this.editorVersion);
+        }
+
+        select.innerHTML = '<option value="">Unity: Any version</option>' + versions.map(version =>
+            `<option value="${safeHtml.escape(version)}">Unity ${safeHtml.escape(version)}${unityVersion.isLts(version) ? ' LTS' : ''}</option>`
+        ).join('');
+        this.updateUnityControls();
+    }
+
+    /**
+     * Sync the Unity selector and checkbox with the current state
+     */
+    updateUnityControls() {
+        const select = document.getElementById('unitySelect');
+        select.value = this.editorVersion;
+
+        const checkbox = document.getElementById('showIncompatible');
+        checkbox.checked = this.showIncompatible;
+        checkbox.disabled = !this.editorVersion;
+    }
+
+    /**
+     * Change the Unity editor version, saving it as a preference
+     * @param {string} version - Editor line such as "2021.3", or '' for any
+     * @param {boolean} showIncompatible - Mark incompatible packages instead of hiding them
+     */
+    setEditorVersion(version, showIncompatible) {
+        this.editorVersion = unityVersion.parse(version) ? version : '';
+        this.showIncompatible = showIncompatible;
+        this.saveUnityPreference();
+        this.updateUnityControls();
+
+        this.updateURL();
+        this.applyFilters();
+    }
+
+    /**
+     * Read the saved Unity editor version from localStorage
+     * @returns {object} - {version, showIncompatible}
+     */
+    loadUnityPreference() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.unityPreferenceKey));
+            return {
+                version: saved && typeof saved.version === 'string' ? saved.version : '',
+                showIncompatible: Boolean(saved && saved.showIncompatible)
+            };
+        } catch (error) {
+            return { version: '', showIncompatible: false };
+        }
+    }
+
+    /**
+     * Save the Unity editor version to localStorage
+     */
+    saveUnityPreference() {
+        try {
+            localStorage.setItem(this.unityPreferenceKey, JSON.stringify({
+                version: this.editorVersion,
+                showIncompatible: this.showIncompatible
+            }));
+        } catch (error) {
+            console.warn('Could not save Unity version preference:', error.message);
+        }
+    }
+
+    /**
+     * Change the sort order
+     * @param {string} mode - Sort mode, or '' for the default order
+     */
+    setSortMode(mode) {
+        this.sortMode = this.parseSortMode(mode) ? mode : '';
+
+        this.updateURL();
+        this.applyFilters();
+    }
+
+    /**
+     * Sort packages by the current sort mode
+     * @param {Array} packages - Packages to sort
+     * @returns {Promise<Array>} - Sorted copy
+     */
+    async sortPackages(packages) {
+        const sort = this.parseSortMode(this.sortMode);
+        if (!sort) {
+            return packages;
+        }
+
+        const stats = new Map();
+        if (sort.key === 'downloads' || sort.key === 'released') {
+            await Promise.all(packages.map(async pkg => stats.set(pkg, await this.getReleaseStats(pkg))));
+        }
+
+        const value = (pkg) => {
+            switch (sort.key) {
+                case 'name':
+                    return (pkg.displayName || pkg.name).toLowerCase();
+                case 'version':
+                    return pkg.version;
+                case 'downloads':
+                    return stats.get(pkg).downloads;
+                case 'released': {
+                    const date = stats.get(pkg).latestReleaseAt;
+                    return date ? date.getTime() : null;
+                }
+                case 'trending':
+                    return downloadHistory.getDelta(pkg.name, 7);
+            }
+        };
 
-        this.filteredPackages = this.packages.filter(pkg => {
-            // Support both old and new formats for search
-            const displayName = pkg.displayName || pkg.name;
-            const authorName = pkg.author?.name || pkg.author || '';
-            const tags = pkg.keywords || pkg.tags || [];
+        const compare = (a, b) => {
+            if (sort.key === 'version') return semver.compare(a, b);
+            if (sort.key === 'name') return a.localeCompare(b);
+            return a - b;
+        };
 
-            // Search filter
-            const matchesSearch = !searchTerm || 
-                pkg.name.toLowerCase().includes(searchTerm) ||
-                displayName.toLowerCase().includes(searchTerm) ||
-                pkg.description.toLowerCase().includes(searchTerm) ||
-                authorName.toLowerCase().includes(searchTerm);
+        return [...packages].sort((pa, pb) => {
+            const a = value(pa);
+            const b = value(pb);
 
-            // Tag filter
-            const matchesTags = this.selectedTags.size === 0 || 
-                (tags && tags.some(tag => this.selectedTags.has(tag)));
+            // Unknown values (e.g. counts we couldn't fetch) always go last
+            if (a === null || b === null) {
+                return (a === null) - (b === null);
+            }
 
-            return matchesSearch && matchesTags;
+            return sort.descending ? compare(b, a) : compare(a, b);
         });
+    }
+
+    /**
+     * Get download total and latest release date for a package, shared per page load
+     * @param {object} pkg - Package data
+     * @returns {Promise<object>} - {downloads, latestReleaseAt}
+     */
+    async getReleaseStats(pkg) {
+        if (!this.releaseStats.has(pkg.name)) {
+            const releaseUrl = this.getReleaseUrl(pkg);
+            const stats = releaseUrl
+                ? this.releaseQueue.run(() => downloadCounter.fetchReleaseStats(releaseUrl, (fresh) => {
+                    // Cached release data was stale: update the shown count
+                    this.releaseStats.set(pkg.name, Promise.resolve(fresh));
+                    const card = document.getElementById(this.getCardId(pkg.name));
+                    if (card) {
+                        this.showDownloadCount(card, fresh.downloads);
+                    }
+                }))
+                : Promise.resolve({ downloads: this.supportsDownloads(pkg) ? 0 : null, latestReleaseAt: null });
+
+            this.releaseStats.set(pkg.name, stats);
+        }
+
+        return this.releaseStats.get(pkg.name);
+    }
+
+    /**
+     * Fetch a package's releases through the shared request queue
+     * @param {object} pkg - Package data
+     * @returns {Promise<Array>} - Releases, empty if the package has none
+     */
+    fetchPackageReleases(pkg) {
+        const releaseUrl = this.getReleaseUrl(pkg);
+        return releaseUrl ? this.releaseQueue.run(() => downloadCounter.fetchReleases(releaseUrl)) : Promise.resolve([]);
+    }
+
+    /**
+     * Check whether the host of a package's repository has download counts
+     * @param {object} pkg - Package data
+     * @returns {boolean} - True for GitHub-hosted packages
+     */
+    supportsDownloads(pkg) {
+        if (!this.packageRepos.has(pkg.name)) {
+            return true;
+        }
+
+        const source = this.getPackageSource(pkg);
+        return source ? source.supportsDownloads : false;
+    }
+
+    /**
+     * Get the resolved repository source of a package
+     * @param {object} pkg - Package data
+     * @returns {object|null} - Source (see repositoryResolver.resolve), or null if unknown
+     */
+    getPackageSource(pkg) {
+        const repoKey = this.packageRepos.get(pkg.name);
+        if (!repoKey) {
+            return null;
+        }
+
+        try {
+            return this.getSource(repoKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the releases API URL used for download counts
+     * @param {object} pkg - Package data
+     * @returns {string|null} - URL, or null if the package has none or its host has no counts
+     */
+    getReleaseUrl(pkg) {
+        if (!this.supportsDownloads(pkg) || !pkg.links || !pkg.links.release) {
+            return null;
+        }
+
+        return pkg.links.release;
+    }
 
-        this.renderPackages();
+    /**
+     * Show a download count on a card
+     * @param {HTMLElement} card - Package card
+     * @param {number|null} downloads - Download count, null if unavailable
+     */
+    showDownloadCount(card, downloads) {
+        const value = card.querySelector('.count-value');
+        value.textContent = downloadCounter.formatCount(downloads);
+        value.classList.toggle('unavailable', downloads === null);
     }
 
     /**
@@ -572,6 +2042,44 @@ class RepositoryLoader {
         panel.classList.toggle('hidden');
     }
 
+    /**
+     * Toggle GitHub token panel visibility
+     */
+    toggleTokenPanel() {
+        const panel = document.getElementById('tokenPanel');
+        panel.classList.toggle('hidden');
+
+        const tokenInput = document.getElementById('tokenInput');
+        tokenInput.value = downloadCounter.getToken() || '';
+    }
+
+    /**
+     * Save or remove the personal GitHub token and reload the counts
+     * @param {string} token - Token, or empty to remove it
+     */
+    saveToken(token) {
+        downloadCounter.setToken(token);
+        this.showNotification(token ? 'GitHub token saved' : 'GitHub token removed');
+
+        // Reload so every count is fetched again under the new limit
+        setTimeout(() => window.location.reload(), 1000);
+    }
+
+    /**
+     * Show the rate-limit banner
+     * @param {Date|null} resetAt - When the GitHub rate limit resets
+     */
+    showRateLimitBanner(resetAt) {
+        const banner = document.getElementById('rateLimitBanner');
+        const until = resetAt
+            ? `until ${resetAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+            : 'until the limit resets';
+
+        document.getElementById('rateLimitText').textContent =
+            `GitHub API rate limit reached. Download counts are unavailable ${until}.`;
+        banner.classList.remove('hidden');
+    }
+
     /**
      * Show/hide loading spinner
      * @param {boolean} show - Show or hide
@@ -603,7 +2111,9 @@ class RepositoryLoader {
     }
 }
 
-// Initialize when DOM is loaded
+// Initialize when DOM is loaded, on pages that host the package browser
 document.addEventListener('DOMContentLoaded', () => {
-    new RepositoryLoader();
+    if (document.getElementById('searchInput')) {
+        new RepositoryLoader();
+    }
 });
\ No newline at end of file
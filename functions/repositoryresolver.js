@@ -0,0 +1,251 @@
+/**
+ * Repository Resolver Module
+ * Turns data/repository.json entries into package.json URLs
+ * Shared by the site and scripts/build-catalog.js
+ *
+ * Entries are either a URL string or an object:
+ *   "https://github.com/owner/repo"
+ *   { "url": "https://github.com/owner/repo", "ref": "v2.0.0", "path": "Packages/com.owner.tool" }
+ *   { "url": "https://gitlab.com/group/subgroup/project", "ref": "master" }
+ *   { "url": "https://git.example.com/group/project", "host": "gitlab" }
+ *   "https://example.com/packages/tool/package.json"
+ *   { "url": "https://github.com/owner/repo", "registry": "openupm" }
+ *
+ * ref defaults to "main"; path is the folder holding package.json.
+ * registry is "openupm" or a scoped registry { "name", "url" } the package is published to.
+ * Hosts are tried in registration order; register() adds more.
+ */
+
+class RepositoryResolver {
+    constructor() {
+        this.defaultRef = 'main';
+        this.hosts = [];
+
+        // https://github.com/owner/repo[/tree/ref[/path]] or a raw.githubusercontent.com folder
+        this.register({
+            name: 'github',
+            supportsDownloads: true,
+            match: (url) => {
+                // A raw package.json link is used as-is; its folder locates the other files
+                const file = url.match(/^https?:\/\/raw\.githubusercontent\.com\/([^\/]+)\/([^\/]+)\/([^\/]+)\/((?:[^\/]+\/)*)[^\/]+\.json$/);
+                if (file) {
+                    return { owner: file[1], repo: file[2], ref: file[3], path: file[4].replace(/\/$/, ''), file: url };
+                }
+
+                const raw = url.match(/^https?:\/\/raw\.githubusercontent\.com\/([^\/]+)\/([^\/]+)\/([^\/]+)((?:\/[^\/]+)*?)\/?$/);
+                if (raw) {
+                    return { owner: raw[1], repo: raw[2], ref: raw[3], path: raw[4].substring(1) };
+                }
+
+                const repo = url.match(/^https?:\/\/(?:www\.)?github\.com\/([^\/]+)\/([^\/]+?)(?:\.git)?(?:\/tree\/([^\/]+)((?:\/[^\/]+)*))?\/?$/);
+                if (repo) {
+                    return { owner: repo[1], repo: repo[2], ref: repo[3], path: (repo[4] || '').substring(1) };
+                }
+
+                return null;
+            },
+            manifestUrl: (info, ref, path) => info.file ||
+                `https://raw.githubusercontent.com/${info.owner}/${info.repo}/${ref}/${this.joinPath(path, 'package.json')}`,
+            gitUrl: (info) => info.file ? null : `https://github.com/${info.owner}/${info.repo}.git`,
+            fileRoot: (info, ref, kind) => kind === 'raw'
+                ? `https://raw.githubusercontent.com/${info.owner}/${info.repo}/${ref}/`
+                : `https://github.com/${info.owner}/${info.repo}/blob/${ref}/`
+        });
+
+        // https://gitlab.com/group[/subgroup]/project[/-/tree/ref[/path]], or any host marked "gitlab"
+        this.register({
+            name: 'gitlab',
+            supportsDownloads: false, // GitLab releases carry no download counts
+            match: (url, forced) => {
+                const pattern = forced
+                    ? /^(https?:\/\/[^\/]+)\/(.+?)(?:\.git)?(?:\/-\/tree\/([^\/]+)((?:\/[^\/]+)*))?\/?$/
+                    : /^(https?:\/\/(?:www\.)?gitlab\.com)\/(.+?)(?:\.git)?(?:\/-\/tree\/([^\/]+)((?:\/[^\/]+)*))?\/?$/;
+                const match = url.match(pattern);
+                if (!match || !match[2].includes('/')) {
+                    return null;
+                }
+
+                return { origin: match[1], project: match[2], ref: match[3], path: (match[4] || '').substring(1) };
+            },
+            manifestUrl: (info, ref, path) =>
+                `${info.origin}/${info.project}/-/raw/${ref}/${this.joinPath(path, 'package.json')}`,
+            gitUrl: (info) => `${info.origin}/${info.project}.git`,
+            fileRoot: (info, ref, kind) => `${info.origin}/${info.project}/-/${kind}/${ref}/`
+        });
+
+        // A direct link to a package.json, served from anywhere
+        this.register({
+            name: 'direct',
+            supportsDownloads: false,
+            match: (url) => /^https?:\/\/[^?#]+\.json(?:[?#].*)?$/.test(url) ? {} : null,
+            manifestUrl: (info, ref, path, url) => url,
+            gitUrl: () => null,
+            // Other files are looked up next to the manifest
+            fileRoot: (info, ref, kind, url) => url.replace(/[?#].*$/, '').replace(/[^\/]*$/, '')
+        });
+
+        this.openUpm = { name: 'package.openupm.com', url: 'https://package.openupm.com' };
+    }
+
+    /**
+     * Register a host resolver
+     * @param {object} host - {name, supportsDownloads, match(url, forced), manifestUrl(info, ref, path, url), gitUrl(info),
+     *                        fileRoot(info, ref, kind, url)} where fileRoot returns the "raw" or "blob" URL of the repository root
+     */
+    register(host) {
+        this.hosts.push(host);
+    }
+
+    /**
+     * Normalize a repository.json entry into an object
+     * @param {string|object} entry - URL string or {url, ref, path, host}
+     * @returns {object} - {url, ref, path, host}
+     */
+    normalize(entry) {
+        const source = typeof entry === 'string' ? { url: entry } : entry;
+
+        if (!source || typeof source.url !== 'string' || !/^https?:\/\//i.test(source.url.trim())) {
+            throw new Error(`Invalid repository entry: ${JSON.stringify(entry)}`);
+        }
+
+        ['ref', 'path', 'host'].forEach(field => {
+            if (source[field] !== undefined && typeof source[field] !== 'string') {
+                throw new Error(`Invalid repository entry: "${field}" must be a string`);
+            }
+        });
+
+        const path = (source.path || '').replace(/^\/+|\/+$/g, '');
+        if (path.split('/').includes('..')) {
+            throw new Error(`Invalid repository entry: path "${source.path}" leaves the repository`);
+        }
+
+        return {
+            url: source.url.trim(),
+            ref: source.ref || null,
+            path: path || null,
+            host: source.host || null,
+            registry: this.normalizeRegistry(source.registry)
+        };
+    }
+
+    /**
+     * Normalize the registry a package is published to
+     * @param {string|object|undefined} registry - "openupm" or {name, url}
+     * @returns {object|null} - {name, url, openupm}, or null if not published to a registry
+     */
+    normalizeRegistry(registry) {
+        if (registry === undefined || registry === null) {
+            return null;
+        }
+        if (registry === 'openupm') {
+            return Object.assign({ openupm: true }, this.openUpm);
+        }
+        if (typeof registry !== 'object' || typeof registry.name !== 'string' ||
+            typeof registry.url !== 'string' || !/^https?:\/\//i.test(registry.url)) {
+            throw new Error('Invalid repository entry: "registry" must be "openupm" or {name, url}');
+        }
+
+        return { name: registry.name, url: registry.url, openupm: false };
+    }
+
+    /**
+     * Stable identifier for an entry, used to key diagnostics and the catalog
+     * Plain URL entries keep their URL so existing catalogs still match
+     * @param {string|object} entry - Repository entry
+     * @returns {string} - Key such as "https://github.com/owner/repo@v2.0.0/Packages/tool"
+     */
+    getKey(entry) {
+        if (typeof entry === 'string') {
+            return entry;
+        }
+
+        try {
+            const source = this.normalize(entry);
+            return source.url + (source.ref ? `@${source.ref}` : '') + (source.path ? `/${source.path}` : '');
+        } catch (error) {
+            // Invalid entries still need a key so they can be reported
+            return JSON.stringify(entry);
+        }
+    }
+
+    /**
+     * Resolve an entry to the URL of its package.json
+     * @param {string|object} entry - Repository entry
+     * @returns {object} - {key, url, ref, path, host, manifestUrl, gitUrl, rawRoot, blobRoot, registry, supportsDownloads}
+     */
+    resolve(entry) {
+        const source = this.normalize(entry);
+        const candidates = source.host
+            ? this.hosts.filter(host => host.name === source.host)
+            : this.hosts;
+
+        if (candidates.length === 0) {
+            throw new Error(`Unknown repository host: ${source.host}`);
+        }
+
+        for (const host of candidates) {
+            const info = host.match(source.url, Boolean(source.host));
+            if (!info) continue;
+
+            // Explicit fields win over a ref or path embedded in the URL
+            const ref = source.ref || info.ref || this.defaultRef;
+            const path = source.path || info.path || '';
+
+            return {
+                key: this.getKey(entry),
+                url: source.url,
+                ref,
+                path,
+                host: host.name,
+                manifestUrl: host.manifestUrl(info, ref, path, source.url),
+                gitUrl: host.gitUrl ? host.gitUrl(info) : null,
+                rawRoot: host.fileRoot(info, ref, 'raw', source.url),
+                blobRoot: host.fileRoot(info, ref, 'blob', source.url),
+                registry: source.registry,
+                supportsDownloads: host.supportsDownloads
+            };
+        }
+
+        throw new Error(`Unsupported repository URL: ${source.url}`);
+    }
+
+    /**
+     * Build the URL of a file in a package's repository
+     * @param {object} source - Resolved source from resolve
+     * @param {string} file - Path relative to the package folder; a leading "/" starts at the repository root
+     * @param {string} kind - "raw" for file contents, "blob" for the host's page for the file
+     * @returns {string} - File URL; ".." segments stop at the repository root
+     */
+    getFileUrl(source, file, kind = 'raw') {
+        const start = file.startsWith('/') ? '' : source.path;
+        const segments = [];
+
+        this.joinPath(start, file).split('/').forEach(segment => {
+            if (segment === '..') {
+                segments.pop();
+            } else if (segment && segment !== '.') {
+                segments.push(segment);
+            }
+        });
+
+        return (kind === 'raw' ? source.rawRoot : source.blobRoot) + segments.join('/');
+    }
+
+    /**
+     * Join a folder path and a file name
+     * @param {string} path - Folder inside the repository, may be empty
+     * @param {string} file - File name
+     * @returns {string} - Joined path
+     */
+    joinPath(path, file) {
+        return path ? `${path}/${file}` : file;
+    }
+}
+
+// Create global instance
+const repositoryResolver = new RepositoryResolver();
+
+// Allow build scripts to share the resolution rules under Node
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RepositoryResolver, repositoryResolver };
+}
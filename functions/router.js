@@ -0,0 +1,189 @@
+/**
+ * Router Module
+ * Maps URLs to routes. Page routes live in the hash (#/package/<name>, #/author/<key>,
+ * #/compare/<names>, #/stats, ...) so they work on static hosting; grid filters stay in the query string.
+ * Older ?package=, ?author=, ?view= and #<slug> links are redirected to their routes.
+ */
+
+class Router {
+    constructor() {
+        // Checked in order; "grid" is the fallback. List arguments are split before decoding (see parseList)
+        this.routes = [
+            { name: 'package', pattern: /^\/package\/(.+)$/ },
+            { name: 'author', pattern: /^\/author\/(.+)$/ },
+            { name: 'compare', pattern: /^\/compare\/(.*)$/, list: true },
+            { name: 'authors', pattern: /^\/authors\/?$/ },
+            { name: 'stats', pattern: /^\/stats\/?$/ },
+            { name: 'outdated', pattern: /^\/outdated\/?$/ },
+            { name: 'diagnostics', pattern: /^\/diagnostics\/?$/ },
+            { name: 'submit', pattern: /^\/submit\/?$/ }
+        ];
+
+        this.defaultTitle = 'Unity Forge - Package Manager';
+        this.defaultDescription = 'Discover and download Unity Playmaker packages';
+        this.onChange = null;
+        this.current = null; // URL last rendered
+    }
+
+    /**
+     * Parse a URL into a route
+     * @param {Location|URL} url - URL to parse, usually window.location
+     * @returns {object} - {name, arg, params}; arg is the decoded route argument (still encoded for list routes),
+     *   params the query string
+     */
+    parse(url) {
+        const path = url.hash.startsWith('#/') ? url.hash.substring(1) : '';
+        const params = new URLSearchParams(url.search);
+
+        for (const route of this.routes) {
+            const match = path.match(route.pattern);
+            if (match) {
+                let arg = match[1] === undefined ? null : match[1];
+                if (arg !== null && !route.list) {
+                    arg = this.decode(arg);
+                }
+                return { name: route.name, arg, params };
+            }
+        }
+
+        return { name: 'grid', arg: null, params };
+    }
+
+    /**
+     * Build the link to a route, keeping the current query string (the grid state)
+     * @param {string} name - Route name
+     * @param {string|Array} arg - Package name, author key or, for compare, a list of package names
+     * @returns {string} - Relative URL, e.g. "#/package/com.unityforge.rest-api"
+     */
+    href(name, arg = null) {
+        if (name === 'grid') {
+            return window.location.pathname + window.location.search;
+        }
+        if (name === 'compare') {
+            return `#/compare/${(arg || []).map(item => encodeURIComponent(item)).join(',')}`;
+        }
+        return arg === null ? `#/${name}` : `#/${name}/${encodeURIComponent(arg)}`;
+    }
+
+    /**
+     * Split the argument of a compare route, then decode each item
+     * @param {string} arg - Encoded route argument, e.g. "com.a.one,com.b.two"
+     * @returns {Array} - Package names
+     */
+    parseList(arg) {
+        return (arg || '').split(',').map(item => this.decode(item).trim()).filter(Boolean);
+    }
+
+    /**
+     * Navigate to a URL and render it
+     * @param {string} url - URL from href()
+     * @param {boolean} replace - Replace the current history entry instead of adding one
+     * @param {boolean} render - False if the page already shows this URL, e.g. after a filter change
+     */
+    navigate(url, replace = false, render = true) {
+        window.history[replace ? 'replaceState' : 'pushState']({}, '', url);
+        if (!render) {
+            this.current = window.location.href;
+        }
+        this.changed();
+    }
+
+    /**
+     * Render again on back/forward and when a #/ link is followed
+     * @param {Function} onChange - Called once for every URL change
+     */
+    listen(onChange) {
+        this.onChange = onChange;
+        this.current = window.location.href;
+
+        // Following a hash link fires both events
+        window.addEventListener('popstate', () => this.changed());
+        window.addEventListener('hashchange', () => this.changed());
+    }
+
+    /**
+     * Call onChange if the URL differs from the one last rendered
+     */
+    changed() {
+        if (window.location.href === this.current) {
+            return;
+        }
+
+        this.current = window.location.href;
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Find where an older link format now lives
+     * @param {Location|URL} url - URL to check
+     * @param {Function} findLegacySlug - Called with a #<slug>, returns the package name it meant or null
+     * @returns {string|null} - Relative URL to replace the current one with, or null if it is current
+     */
+    getRedirect(url, findLegacySlug) {
+        const params = new URLSearchParams(url.search);
+        let route = null;
+
+        if (params.has('package')) {
+            route = this.href('package', params.get('package'));
+            params.delete('package');
+        } else if (params.has('author')) {
+            route = this.href('author', params.get('author'));
+            params.delete('author');
+        } else if (params.has('view')) {
+            route = this.routes.some(item => item.name === params.get('view')) ? `#/${params.get('view')}` : '';
+            params.delete('view');
+        } else if (url.hash.length > 1 && !url.hash.startsWith('#/')) {
+            // Cards used to be linked as #<slug>; other anchors such as #about are left alone
+            const name = findLegacySlug(this.decode(url.hash.substring(1)));
+            if (name === null) {
+                return null;
+            }
+            route = this.href('package', name);
+        } else {
+            return null;
+        }
+
+        const query = params.toString();
+        return `${url.pathname}${query ? `?${query}` : ''}${route}`;
+    }
+
+    /**
+     * Set the document title and description of the current route
+     * @param {string|null} title - Page title, null for the grid
+     * @param {string|null} description - Page description, null for the default
+     */
+    setMeta(title, description = null) {
+        document.title = title ? `${title} - Unity Forge` : this.defaultTitle;
+
+        const text = description || this.defaultDescription;
+        [
+            ['meta[name="description"]', text],
+            ['meta[property="og:title"]', title || this.defaultTitle],
+            ['meta[property="og:description"]', text],
+            ['meta[property="og:url"]', window.location.href]
+        ].forEach(([selector, content]) => {
+            const meta = document.head.querySelector(selector);
+            if (meta) {
+                meta.setAttribute('content', content);
+            }
+        });
+    }
+
+    /**
+     * Decode a route argument, keeping malformed escapes as they are
+     * @param {string} value - Encoded value
+     * @returns {string} - Decoded value
+     */
+    decode(value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (error) {
+            return value;
+        }
+    }
+}
+
+// Create global instance
+const router = new Router();
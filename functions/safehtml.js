@@ -0,0 +1,147 @@
+/**
+ * Safe HTML Module
+ * Escaping, URL checks and an allowlist sanitizer for rendering third-party content
+ */
+
+class SafeHtml {
+    constructor() {
+        this.allowedProtocols = ['http:', 'https:'];
+
+        // Elements kept by sanitize, with the attributes each may carry
+        this.allowedTags = {
+            a: ['href', 'title'],
+            img: ['src', 'alt', 'title', 'width', 'height', 'align'],
+            p: ['align'], div: ['align'], span: [],
+            h1: ['id', 'align'], h2: ['id', 'align'], h3: ['id', 'align'],
+            h4: ['id', 'align'], h5: ['id', 'align'], h6: ['id', 'align'],
+            ul: [], ol: ['start'], li: [],
+            blockquote: [], pre: [], code: ['class'], kbd: [],
+            strong: [], b: [], em: [], i: [], del: [], s: [], sub: [], sup: [],
+            br: [], hr: [],
+            table: [], thead: [], tbody: [], tr: [], th: ['align'], td: ['align'],
+            details: ['open'], summary: []
+        };
+
+        // Elements removed together with their content; anything else unknown is unwrapped
+        this.droppedTags = ['script', 'style', 'iframe', 'frame', 'object', 'embed', 'svg', 'math',
+            'template', 'noscript', 'form', 'input', 'button', 'textarea', 'select', 'link', 'meta', 'base', 'title'];
+    }
+
+    /**
+     * Escape a value for use in HTML text or a quoted attribute
+     * @param {any} value - Value to escape
+     * @returns {string} - Escaped string
+     */
+    escape(value) {
+        if (value === null || value === undefined) return '';
+
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;')
+            .replace(/`/g, '&#96;');
+    }
+
+    /**
+     * Check that a URL is an absolute http(s) URL
+     * @param {any} url - URL from a manifest
+     * @returns {string|null} - Normalized URL, or null if unsafe
+     */
+    safeUrl(url) {
+        if (typeof url !== 'string' || !/^https?:\/\//i.test(url.trim())) {
+            return null;
+        }
+
+        try {
+            const parsed = new URL(url.trim());
+            return this.allowedProtocols.includes(parsed.protocol) ? parsed.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check an image URL, falling back to a placeholder
+     * @param {any} url - Image URL from a manifest
+     * @param {string} fallback - URL used when the image URL is unsafe
+     * @returns {string} - Safe image URL
+     */
+    safeImageUrl(url, fallback) {
+        return this.safeUrl(url) || fallback;
+    }
+
+    /**
+     * Reduce untrusted HTML to allowlisted elements and attributes
+     * The markup is parsed into an inert template, so nothing runs or loads while it is cleaned.
+     * @param {string} html - Untrusted HTML
+     * @param {object} options - {rewriteUrl(url, attribute), idPrefix}
+     *   rewriteUrl maps href/src values before the safeUrl check and may return null to drop them;
+     *   only ids starting with idPrefix are kept so content cannot clobber the page's own ids
+     * @returns {string} - Sanitized HTML
+     */
+    sanitize(html, { rewriteUrl = (url) => url, idPrefix = null } = {}) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        const clean = (parent) => {
+            Array.from(parent.childNodes).forEach(node => {
+                if (node.nodeType === Node.COMMENT_NODE) {
+                    node.remove();
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) {
+                    return;
+                }
+
+                const tag = node.localName;
+                if (this.droppedTags.includes(tag)) {
+                    node.remove();
+                    return;
+                }
+
+                clean(node);
+
+                if (!this.allowedTags[tag]) {
+                    node.replaceWith(...node.childNodes);
+                    return;
+                }
+
+                Array.from(node.attributes).forEach(attribute => {
+                    if (!this.allowedTags[tag].includes(attribute.name)) {
+                        node.removeAttribute(attribute.name);
+                    }
+                });
+
+                ['href', 'src'].forEach(name => {
+                    if (!node.hasAttribute(name)) return;
+
+                    const value = rewriteUrl(node.getAttribute(name).trim(), name);
+                    const url = value && (value.startsWith('#') && name === 'href' ? value : this.safeUrl(value));
+                    if (url) {
+                        node.setAttribute(name, url);
+                    } else {
+                        node.removeAttribute(name);
+                    }
+                });
+
+                if (node.hasAttribute('id') && !(idPrefix && node.id.startsWith(idPrefix))) {
+                    node.removeAttribute('id');
+                }
+                if (node.hasAttribute('class') && !/^language-[\w+-]+$/.test(node.getAttribute('class'))) {
+                    node.removeAttribute('class');
+                }
+                if (tag === 'img' && !node.hasAttribute('src')) {
+                    node.remove();
+                }
+            });
+        };
+
+        clean(template.content);
+        return template.innerHTML;
+    }
+}
+
+// Create global instance
+const safeHtml = new SafeHtml();
@@ -0,0 +1,236 @@
+/**
+ * Search Query Module
+ * Parses the search box query language and ranks packages by relevance
+ *
+ * Syntax:
+ *   json parser              - every word must match (typos tolerated)
+ *   "exact phrase"           - phrase must appear as written
+ *   author:unityforge        - field filters: author, tag, status, name
+ *   tag:"rest api"           - quoted filter values
+ *   -deprecated              - exclude packages mentioning a word
+ *   -tag:experimental        - exclude packages matching a filter
+ */
+
+class SearchQuery {
+    constructor() {
+        this.filterFields = ['author', 'tag', 'status', 'name'];
+
+        // Name matches outrank tag, author and description matches
+        this.fieldWeights = {
+            name: 10,
+            displayName: 10,
+            tags: 5,
+            author: 3,
+            description: 2
+        };
+    }
+
+    /**
+     * Parse a query string
+     * @param {string} query - Raw search box text
+     * @returns {object} - {terms, phrases, excluded, filters}
+     */
+    parse(query) {
+        const parsed = {
+            terms: [],
+            phrases: [],
+            excluded: [],
+            filters: []
+        };
+
+        const tokenPattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+        let match;
+
+        while ((match = tokenPattern.exec(query || '')) !== null) {
+            const negate = match[1] === '-';
+            const field = match[2] ? match[2].toLowerCase() : null;
+            const quoted = match[3] !== undefined;
+            const value = (quoted ? match[3] : match[4] || '').trim().toLowerCase();
+
+            if (field && this.filterFields.includes(field)) {
+                if (value) parsed.filters.push({ field, value, negate });
+                continue;
+            }
+
+            // Unknown prefixes like "http:" are just part of the text
+            const text = (field ? `${field}:` : '') + value;
+            if (!text) continue;
+
+            if (negate) {
+                parsed.excluded.push(text);
+            } else if (quoted) {
+                parsed.phrases.push(text);
+            } else {
+                parsed.terms.push(text);
+            }
+        }
+
+        return parsed;
+    }
+
+    /**
+     * Check whether a parsed query has anything to filter on
+     * @param {object} parsed - Parsed query
+     * @returns {boolean} - True if empty
+     */
+    isEmpty(parsed) {
+        return parsed.terms.length === 0 && parsed.phrases.length === 0 &&
+            parsed.excluded.length === 0 && parsed.filters.length === 0;
+    }
+
+    /**
+     * Check whether a package satisfies a parsed query
+     * @param {object} pkg - Package data
+     * @param {object} parsed - Parsed query
+     * @returns {boolean} - True if the package matches
+     */
+    matches(pkg, parsed) {
+        const fields = this.getFields(pkg);
+        const allText = this.getAllText(fields);
+
+        const filtersMatch = parsed.filters.every(filter =>
+            this.matchFilter(fields, filter) !== filter.negate);
+
+        const phrasesMatch = parsed.phrases.every(phrase => allText.includes(phrase));
+        const nothingExcluded = parsed.excluded.every(word => !allText.includes(word));
+        const termsMatch = parsed.terms.every(term => this.scoreTerm(fields, term) > 0);
+
+        return filtersMatch && phrasesMatch && nothingExcluded && termsMatch;
+    }
+
+    /**
+     * Score how relevant a package is to a parsed query
+     * @param {object} pkg - Package data
+     * @param {object} parsed - Parsed query
+     * @returns {number} - Relevance score, higher is better
+     */
+    score(pkg, parsed) {
+        const fields = this.getFields(pkg);
+
+        const termScore = parsed.terms.reduce((total, term) => total + this.scoreTerm(fields, term), 0);
+        const phraseScore = parsed.phrases.reduce((total, phrase) => {
+            const inName = fields.name.includes(phrase) || fields.displayName.includes(phrase);
+            return total + (inName ? this.fieldWeights.name : this.fieldWeights.description);
+        }, 0);
+
+        return termScore + phraseScore;
+    }
+
+    /**
+     * Score one search term against all fields
+     * @param {object} fields - Lowercased package fields
+     * @param {string} term - Search term
+     * @returns {number} - Weighted score, 0 if no field matches
+     */
+    scoreTerm(fields, term) {
+        return Object.keys(this.fieldWeights).reduce((total, field) => {
+            const values = Array.isArray(fields[field]) ? fields[field] : [fields[field]];
+            const best = Math.max(0, ...values.map(value => this.matchQuality(value, term)));
+            return total + best * this.fieldWeights[field];
+        }, 0);
+    }
+
+    /**
+     * Rate how well a term matches a piece of text
+     * @param {string} text - Lowercased text
+     * @param {string} term - Lowercased term
+     * @returns {number} - 1 exact word, 0.8 word prefix, 0.6 substring, 0.4 typo, 0 none
+     */
+    matchQuality(text, term) {
+        if (!text) return 0;
+
+        const words = text.split(/[^a-z0-9]+/).filter(word => word);
+        if (words.includes(term)) return 1;
+        if (words.some(word => word.startsWith(term))) return 0.8;
+        if (text.includes(term)) return 0.6;
+
+        const maxTypos = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+        if (maxTypos > 0 && words.some(word => this.distance(word, term, maxTypos) <= maxTypos)) {
+            return 0.4;
+        }
+
+        return 0;
+    }
+
+    /**
+     * Check a field filter such as author:unityforge
+     * @param {object} fields - Lowercased package fields
+     * @param {object} filter - {field, value}
+     * @returns {boolean} - True if the package matches the filter
+     */
+    matchFilter(fields, filter) {
+        switch (filter.field) {
+            case 'author':
+                return fields.author.includes(filter.value);
+            case 'tag':
+                return fields.tags.includes(filter.value);
+            case 'status':
+                return fields.status === filter.value;
+            case 'name':
+                return fields.name.includes(filter.value) || fields.displayName.includes(filter.value);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Extract the searchable fields of a package, lowercased
+     * @param {object} pkg - Package data
+     * @returns {object} - Searchable fields
+     */
+    getFields(pkg) {
+        // Support both old and new formats
+        const authorName = authorDirectory.getName(pkg, '');
+        const tags = pkg.keywords || pkg.tags || [];
+
+        return {
+            name: (pkg.name || '').toLowerCase(),
+            displayName: (pkg.displayName || pkg.name || '').toLowerCase(),
+            description: (pkg.description || '').toLowerCase(),
+            author: String(authorName).toLowerCase(),
+            status: (pkg.status || '').toLowerCase(),
+            tags: tags.map(tag => String(tag).toLowerCase())
+        };
+    }
+
+    /**
+     * Join all searchable fields for phrase and exclusion checks
+     * @param {object} fields - Lowercased package fields
+     * @returns {string} - Combined text
+     */
+    getAllText(fields) {
+        return [fields.name, fields.displayName, fields.description, fields.author, fields.status, ...fields.tags].join('\n');
+    }
+
+    /**
+     * Levenshtein distance, giving up once it exceeds a limit
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} limit - Largest distance of interest
+     * @returns {number} - Edit distance, or limit + 1 if larger
+     */
+    distance(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+
+            if (rowMin > limit) return limit + 1;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+}
+
+// Create global instance
+const searchQuery = new SearchQuery();
@@ -0,0 +1,69 @@
+/**
+ * Semver Module
+ * Parses and compares semantic versions such as "1.2.0" or "v2.0.0-beta.1"
+ */
+
+class Semver {
+    /**
+     * Parse a version string
+     * @param {string} version - Version, optionally prefixed with "v"
+     * @returns {object|null} - {major, minor, patch, prerelease}, or null if not a version
+     */
+    parse(version) {
+        if (typeof version !== 'string') return null;
+
+        const match = version.trim().match(/^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/);
+        if (!match) return null;
+
+        return {
+            major: parseInt(match[1], 10),
+            minor: parseInt(match[2] || '0', 10),
+            patch: parseInt(match[3] || '0', 10),
+            prerelease: match[4] ? match[4].split('.') : []
+        };
+    }
+
+    /**
+     * Compare two versions by semver precedence
+     * @param {string} a - First version
+     * @param {string} b - Second version
+     * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+     */
+    compare(a, b) {
+        const va = this.parse(a);
+        const vb = this.parse(b);
+
+        // Unparseable versions sort before real ones
+        if (!va || !vb) {
+            return (va ? 1 : 0) - (vb ? 1 : 0);
+        }
+
+        const core = (va.major - vb.major) || (va.minor - vb.minor) || (va.patch - vb.patch);
+        if (core !== 0) return core;
+
+        // A pre-release is lower than the release itself
+        if (va.prerelease.length === 0 || vb.prerelease.length === 0) {
+            return vb.prerelease.length - va.prerelease.length;
+        }
+
+        for (let i = 0; i < Math.max(va.prerelease.length, vb.prerelease.length); i++) {
+            const pa = va.prerelease[i];
+            const pb = vb.prerelease[i];
+
+            if (pa === undefined) return -1;
+            if (pb === undefined) return 1;
+            if (pa === pb) continue;
+
+            const na = /^\d+$/.test(pa);
+            const nb = /^\d+$/.test(pb);
+            if (na && nb) return parseInt(pa, 10) - parseInt(pb, 10);
+            if (na !== nb) return na ? -1 : 1;
+            return pa < pb ? -1 : 1;
+        }
+
+        return 0;
+    }
+}
+
+// Create global instance
+const semver = new Semver();
@@ -0,0 +1,308 @@
+/**
+ * Submission Helper Module
+ * The "Submit a package" page (#/submit): checks a repository the way the site loads it,
+ * previews its card and writes the repository.json diff and issue/PR text to send in
+ */
+
+class SubmissionHelper {
+    constructor() {
+        this.registryFile = 'data/repository.json';
+
+        // Called with a repository.json entry, resolves to a report (see RepositoryLoader.checkSubmission)
+        this.onCheck = null;
+        this.onCopy = null; // Called with text from the copy buttons
+    }
+
+    /**
+     * Render the submission form
+     */
+    render() {
+        const container = document.getElementById('submitView');
+
+        container.innerHTML = `
+            <div class="detail-section">
+                <h3>Submit a Package</h3>
+                <p class="stats-caption">
+                    Paste the repository of a Unity package. It is checked the same way the catalog loads packages,
+                    and you get the repository.json change and an issue or pull request description to send in.
+                </p>
+                <form class="submit-form">
+                    <input type="url" class="submit-url" placeholder="https://github.com/owner/repo" required>
+                    <input type="text" class="submit-ref" placeholder="Branch or tag (default: main)">
+                    <input type="text" class="submit-path" placeholder="Folder of package.json (default: root)">
+                    <button type="submit" class="btn-clear">Check package</button>
+                </form>
+            </div>
+            <div class="submit-result"></div>
+        `;
+
+        container.querySelector('.submit-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.check(container);
+        });
+    }
+
+    /**
+     * Check the entered repository and render the report
+     * @param {HTMLElement} container - Submit view
+     */
+    async check(container) {
+        const result = container.querySelector('.submit-result');
+        const entry = this.parseEntry(
+            container.querySelector('.submit-url').value,
+            container.querySelector('.submit-ref').value,
+            container.querySelector('.submit-path').value
+        );
+
+        result.innerHTML = `
+            <div class="loading">
+                <div class="spinner"></div>
+                <p>Loading package.json...</p>
+            </div>
+        `;
+
+        const report = await this.onCheck(entry);
+        const registry = report.errors.length === 0 ? await this.loadRegistry() : null;
+        this.renderReport(result, report, registry);
+    }
+
+    /**
+     * Build a repository.json entry from the form fields
+     * @param {string} url - Repository URL
+     * @param {string} ref - Branch or tag, may be empty
+     * @param {string} path - Folder of package.json, may be empty
+     * @returns {string|object} - The URL, or {url, ref, path} if a ref or path is given
+     */
+    parseEntry(url, ref, path) {
+        const entry = { url: url.trim() };
+        if (ref.trim()) {
+            entry.ref = ref.trim();
+        }
+        if (path.trim()) {
+            entry.path = path.trim().replace(/^\/+|\/+$/g, '');
+        }
+
+        return Object.keys(entry).length === 1 ? entry.url : entry;
+    }
+
+    /**
+     * Suggest fields that make a listing more useful; the validator only flags what is broken
+     * @param {object} manifest - Validated package data
+     * @param {object} source - Resolved repository source
+     * @returns {Array} - Suggestions
+     */
+    getRecommendations(manifest, source) {
+        const suggestions = [];
+
+        if (!semver.parse(manifest.version)) {
+            suggestions.push(`"version" (${manifest.version}) is not a semantic version, so update checks cannot compare it`);
+        }
+        if (!manifest.displayName) {
+            suggestions.push('"displayName" is missing; the card shows the package name instead');
+        }
+        if (!authorDirectory.normalize(manifest.author)) {
+            suggestions.push('"author" is missing; the package will not appear on an author page');
+        }
+        if (manifest.keywords.length === 0) {
+            suggestions.push('"keywords" is empty; the package will not show up under any tag filter');
+        }
+        if (!unityVersion.getMinimum(manifest)) {
+            suggestions.push('"unity" is missing; Unity version filters will treat the package as working everywhere');
+        }
+        if (source.supportsDownloads && !manifest.links.release) {
+            suggestions.push('"links.release" is missing; download counts need the GitHub releases API URL');
+        }
+
+        return suggestions;
+    }
+
+    /**
+     * Load the current repository.json as text, so the diff matches the file
+     * @returns {Promise<string|null>} - File contents, or null if unavailable
+     */
+    async loadRegistry() {
+        try {
+            const response = await fetch(this.registryFile);
+            return response.ok ? await response.text() : null;
+        } catch (error) {
+            console.warn('Could not load repository.json:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Build a unified diff adding an entry to repository.json
+     * @param {string} text - Current repository.json
+     * @param {string|object} entry - Entry to append
+     * @returns {string} - Diff, ready for git apply
+     */
+    buildDiff(text, entry) {
+        const registry = JSON.parse(text);
+        registry.repositories = [...registry.repositories, entry];
+
+        const before = text.replace(/\n$/, '').split('\n');
+        const after = JSON.stringify(registry, null, 2).split('\n');
+
+        // Lines shared at the start and the end; everything between changed
+        let start = 0;
+        while (start < before.length && start < after.length && before[start] === after[start]) {
+            start++;
+        }
+        let end = 0;
+        while (end < before.length - start && end < after.length - start &&
+            before[before.length - 1 - end] === after[after.length - 1 - end]) {
+            end++;
+        }
+
+        const context = 3;
+        const leading = before.slice(Math.max(0, start - context), start);
+        const removed = before.slice(start, before.length - end);
+        const added = after.slice(start, after.length - end);
+        const trailing = before.slice(before.length - end, before.length - end + context);
+        const first = start - leading.length + 1;
+
+        return [
+            `--- a/${this.registryFile}`,
+            `+++ b/${this.registryFile}`,
+            `@@ -${first},${leading.length + removed.length + trailing.length} +${first},${leading.length + added.length + trailing.length} @@`,
+            ...leading.map(line => ` ${line}`),
+            ...removed.map(line => `-${line}`),
+            ...added.map(line => `+${line}`),
+            ...trailing.map(line => ` ${line}`)
+        ].join('\n') + '\n';
+    }
+
+    /**
+     * Build the title of the issue or pull request
+     * @param {object} manifest - Validated package data
+     * @returns {string} - Title
+     */
+    buildTitle(manifest) {
+        return `Add package: ${manifest.displayName || manifest.name} (${manifest.name})`;
+    }
+
+    /**
+     * Build the issue or pull request description
+     * @param {object} report - Check report
+     * @param {Array} suggestions - From getRecommendations
+     * @param {string|null} diff - repository.json diff, null if it could not be built
+     * @returns {string} - Markdown
+     */
+    buildBody(report, suggestions, diff) {
+        const manifest = report.manifest;
+        const minimum = unityVersion.getMinimum(manifest);
+        const lines = [
+            `Please add **${manifest.displayName || manifest.name}** to the catalog.`,
+            '',
+            `- Repository: ${report.source.url}`,
+            `- Package: \`${manifest.name}\` ${manifest.version}`,
+            `- Author: ${authorDirectory.getName(manifest)}`,
+            `- Tags: ${manifest.keywords.length > 0 ? manifest.keywords.join(', ') : 'none'}`,
+            `- Minimum Unity: ${minimum || 'not set'}`,
+            '',
+            manifest.description || '_No description._',
+            '',
+            '### Checks',
+            '',
+            `- [x] package.json loads from ${report.source.manifestUrl}`,
+            '- [x] Required fields are present',
+            '- [x] Neither the repository nor the package name is in the catalog yet',
+            ...report.warnings.concat(suggestions).map(warning => `- [ ] ${warning}`)
+        ];
+
+        if (diff) {
+            lines.push('', `### ${this.registryFile}`, '', '```diff', diff.replace(/\n$/, ''), '```');
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Render a check report: problems, the card preview and the text to send in
+     * @param {HTMLElement} result - Element to render into
+     * @param {object} report - {entry, source, manifest, errors, warnings, card}
+     * @param {string|null} registry - Current repository.json, null if unavailable
+     */
+    renderReport(result, report, registry) {
+        const suggestions = report.manifest ? this.getRecommendations(report.manifest, report.source) : [];
+
+        result.innerHTML = `
+            <div class="detail-section">
+                <h3>Checks</h3>
+                <ul class="submit-checks"></ul>
+            </div>
+        `;
+
+        const checks = result.querySelector('.submit-checks');
+        const addCheck = (level, text) => {
+            const item = document.createElement('li');
+            item.className = `submit-${level}`;
+            item.textContent = text;
+            checks.appendChild(item);
+        };
+
+        report.errors.forEach(error => addCheck('error', error));
+        report.warnings.forEach(warning => addCheck('warning', warning));
+        suggestions.forEach(suggestion => addCheck('warning', suggestion));
+        if (report.errors.length === 0) {
+            addCheck('ok', `package.json loads from ${report.source.manifestUrl} and has the required fields`);
+            addCheck('ok', 'Neither the repository nor the package name is in the catalog yet');
+        }
+
+        if (report.card) {
+            const preview = document.createElement('div');
+            preview.className = 'detail-section';
+            preview.innerHTML = '<h3>Card Preview</h3><div class="packages-grid submit-preview"></div>';
+            preview.querySelector('.submit-preview').appendChild(report.card);
+            result.appendChild(preview);
+        }
+
+        if (report.errors.length > 0) {
+            return;
+        }
+
+        let diff = null;
+        try {
+            diff = registry ? this.buildDiff(registry, report.entry) : null;
+        } catch (error) {
+            console.warn('Could not build the repository.json diff:', error.message);
+        }
+
+        const output = document.createElement('div');
+        output.className = 'detail-section';
+        output.innerHTML = `
+            <h3>Send It In</h3>
+            <p class="stats-caption">
+                Open a pull request with this change to ${this.registryFile}, or an issue with the text below.
+            </p>
+            <h4>${this.registryFile}</h4>
+            <pre class="submit-output submit-diff"></pre>
+            <button class="btn-clear submit-copy" data-target="submit-diff"><i class="fas fa-copy"></i> Copy diff</button>
+            <h4>Title</h4>
+            <pre class="submit-output submit-title"></pre>
+            <button class="btn-clear submit-copy" data-target="submit-title"><i class="fas fa-copy"></i> Copy title</button>
+            <h4>Description</h4>
+            <pre class="submit-output submit-body"></pre>
+            <button class="btn-clear submit-copy" data-target="submit-body"><i class="fas fa-copy"></i> Copy description</button>
+        `;
+
+        // Everything shown here comes from the submitted manifest
+        output.querySelector('.submit-diff').textContent = diff ||
+            `Could not read ${this.registryFile}; add this entry to "repositories":\n${JSON.stringify(report.entry, null, 2)}`;
+        output.querySelector('.submit-title').textContent = this.buildTitle(report.manifest);
+        output.querySelector('.submit-body').textContent = this.buildBody(report, suggestions, diff);
+
+        output.querySelectorAll('.submit-copy').forEach(button => {
+            button.addEventListener('click', () => {
+                if (this.onCopy) {
+                    this.onCopy(output.querySelector(`.${button.dataset.target}`).textContent);
+                }
+            });
+        });
+
+        result.appendChild(output);
+    }
+}
+
+// Create global instance
+const submissionHelper = new SubmissionHelper();
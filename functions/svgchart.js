@@ -0,0 +1,146 @@
+/**
+ * SVG Chart Module
+ * Builds small bar, donut and sparkline charts as SVG markup, so the site needs no chart library
+ * Colors come from the .chart-* classes in style.css
+ */
+
+class SvgChart {
+    /**
+     * Build a vertical bar chart
+     * @param {Array} bars - [{label, value, highlight}]
+     * @param {object} options - {height, formatValue}
+     * @returns {string} - SVG markup
+     */
+    barChart(bars, { height = 220, formatValue = (value) => String(value) } = {}) {
+        const esc = (value) => safeHtml.escape(value);
+        const slot = 56;
+        const width = Math.max(320, bars.length * slot);
+        const top = 24;
+        const bottom = 36;
+        const plot = height - top - bottom;
+        const max = Math.max(1, ...bars.map(bar => bar.value));
+        const offset = (width - bars.length * slot) / 2;
+
+        const items = bars.map((bar, index) => {
+            const barHeight = Math.round((bar.value / max) * plot);
+            const x = offset + index * slot + 8;
+            const y = top + plot - barHeight;
+            const center = x + (slot - 16) / 2;
+
+            return `
+                <g class="chart-bar${bar.highlight ? ' highlight' : ''}">
+                    <title>${esc(bar.label)}: ${esc(bar.value.toLocaleString())}</title>
+                    <rect x="${x}" y="${y}" width="${slot - 16}" height="${Math.max(barHeight, 1)}" rx="3"></rect>
+                    <text class="chart-value" x="${center}" y="${y - 6}" text-anchor="middle">${esc(formatValue(bar.value))}</text>
+                    <text class="chart-label" x="${center}" y="${height - bottom + 18}" text-anchor="middle">${esc(this.truncate(bar.label, 8))}</text>
+                </g>
+            `;
+        }).join('');
+
+        return `
+            <svg class="chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">
+                <line class="chart-axis" x1="0" y1="${top + plot}" x2="${width}" y2="${top + plot}"></line>
+                ${items}
+            </svg>
+        `;
+    }
+
+    /**
+     * Build a horizontal bar chart, one labelled row per bar
+     * @param {Array} bars - [{label, value, highlight}]
+     * @param {object} options - {width, formatValue}
+     * @returns {string} - SVG markup
+     */
+    horizontalBarChart(bars, { width = 640, formatValue = (value) => String(value) } = {}) {
+        const esc = (value) => safeHtml.escape(value);
+        const row = 28;
+        const labelWidth = 200;
+        const valueWidth = 70;
+        const plot = width - labelWidth - valueWidth;
+        const height = Math.max(row, bars.length * row);
+        const max = Math.max(1, ...bars.map(bar => bar.value));
+
+        const items = bars.map((bar, index) => {
+            const y = index * row;
+            const barWidth = Math.max(Math.round((bar.value / max) * plot), 1);
+
+            return `
+                <g class="chart-bar${bar.highlight ? ' highlight' : ''}">
+                    <title>${esc(bar.label)}: ${esc(bar.value.toLocaleString())}</title>
+                    <text class="chart-label" x="${labelWidth - 8}" y="${y + row / 2 + 4}" text-anchor="end">${esc(this.truncate(bar.label, 26))}</text>
+                    <rect x="${labelWidth}" y="${y + 5}" width="${barWidth}" height="${row - 10}" rx="3"></rect>
+                    <text class="chart-value" x="${labelWidth + barWidth + 6}" y="${y + row / 2 + 4}">${esc(formatValue(bar.value))}</text>
+                </g>
+            `;
+        }).join('');
+
+        return `
+            <svg class="chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">
+                ${items}
+            </svg>
+        `;
+    }
+
+    /**
+     * Build a donut showing one share of a whole
+     * @param {number} fraction - Share between 0 and 1
+     * @param {string} label - Text in the middle
+     * @returns {string} - SVG markup
+     */
+    donut(fraction, label) {
+        const radius = 40;
+        const circumference = 2 * Math.PI * radius;
+        const filled = Math.min(Math.max(fraction, 0), 1) * circumference;
+
+        // The filled arc starts at 12 o'clock
+        return `
+            <svg class="chart chart-donut" viewBox="0 0 100 100" width="100" height="100" role="img">
+                <circle class="chart-track" cx="50" cy="50" r="${radius}"></circle>
+                <circle class="chart-fill" cx="50" cy="50" r="${radius}"
+                        stroke-dasharray="${filled.toFixed(2)} ${circumference.toFixed(2)}"
+                        transform="rotate(-90 50 50)"></circle>
+                <text class="chart-donut-label" x="50" y="55" text-anchor="middle">${safeHtml.escape(label)}</text>
+            </svg>
+        `;
+    }
+
+    /**
+     * Build a sparkline: a line with a shaded area below it, no axes
+     * @param {Array} values - Numbers, oldest first; at least two
+     * @param {object} options - {width, height, title}
+     * @returns {string} - SVG markup
+     */
+    sparkline(values, { width = 120, height = 28, title = '' } = {}) {
+        const min = Math.min(...values);
+        const range = Math.max(...values) - min;
+        const step = width / Math.max(values.length - 1, 1);
+
+        // A flat series is drawn through the middle; otherwise leave a pixel at the top and bottom
+        const points = values.map((value, index) => {
+            const y = range === 0 ? height / 2 : 1 + (1 - (value - min) / range) * (height - 2);
+            return `${(index * step).toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+
+        return `
+            <svg class="chart chart-sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" role="img">
+                ${title ? `<title>${safeHtml.escape(title)}</title>` : ''}
+                <polygon class="chart-area" points="0,${height} ${points} ${width},${height}"></polygon>
+                <polyline class="chart-line" points="${points}"></polyline>
+            </svg>
+        `;
+    }
+
+    /**
+     * Shorten a label to fit under or beside a bar
+     * @param {string} text - Label
+     * @param {number} length - Maximum characters
+     * @returns {string} - Label, ending in "…" if shortened
+     */
+    truncate(text, length) {
+        const value = String(text);
+        return value.length > length ? `${value.substring(0, length - 1)}…` : value;
+    }
+}
+
+// Create global instance
+const svgChart = new SvgChart();
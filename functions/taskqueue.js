@@ -0,0 +1,45 @@
+/**
+ * Task Queue Module
+ * Runs async tasks with a concurrency limit
+ */
+
+class TaskQueue {
+    /**
+     * @param {number} concurrency - Maximum number of tasks running at once
+     */
+    constructor(concurrency = 4) {
+        this.concurrency = concurrency;
+        this.running = 0;
+        this.waiting = [];
+    }
+
+    /**
+     * Queue a task
+     * @param {Function} task - Function returning a promise
+     * @returns {Promise<any>} - Resolves or rejects with the task's result
+     */
+    run(task) {
+        return new Promise((resolve, reject) => {
+            this.waiting.push({ task, resolve, reject });
+            this.next();
+        });
+    }
+
+    /**
+     * Start waiting tasks while below the concurrency limit
+     */
+    next() {
+        while (this.running < this.concurrency && this.waiting.length > 0) {
+            const { task, resolve, reject } = this.waiting.shift();
+            this.running++;
+
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.running--;
+                    this.next();
+                });
+        }
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Unity Version Module
+ * Parses and compares Unity editor versions such as "2021.3", "2022.3.10f1" or "6000.0.23f1"
+ * and checks them against a package's "unity" / "unityRelease" minimum
+ */
+
+class UnityVersion {
+    constructor() {
+        // Long-term support lines offered in the selector even if no package names them
+        this.ltsVersions = ['2019.4', '2020.3', '2021.3', '2022.3', '6000.0'];
+
+        // Release stages in order: alpha, beta, final, patch
+        this.stages = ['a', 'b', 'f', 'p'];
+    }
+
+    /**
+     * Parse an editor version
+     * @param {string} version - Version, e.g. "2021.3" or "2021.3.10f1"
+     * @returns {object|null} - {major, minor, patch, stage, build}; patch is null for "2021.3"
+     */
+    parse(version) {
+        if (typeof version !== 'string') return null;
+
+        const match = version.trim().match(/^(\d+)\.(\d+)(?:\.(\d+)(?:([abfp])(\d+))?)?$/);
+        if (!match) return null;
+
+        return {
+            major: parseInt(match[1], 10),
+            minor: parseInt(match[2], 10),
+            patch: match[3] !== undefined ? parseInt(match[3], 10) : null,
+            stage: match[4] || 'f',
+            build: match[5] !== undefined ? parseInt(match[5], 10) : 0
+        };
+    }
+
+    /**
+     * Compare two editor versions; a version without a patch matches any patch of its line
+     * @param {string} a - First version
+     * @param {string} b - Second version
+     * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+     */
+    compare(a, b) {
+        const va = this.parse(a);
+        const vb = this.parse(b);
+
+        // Unparseable versions sort before real ones
+        if (!va || !vb) {
+            return (va ? 1 : 0) - (vb ? 1 : 0);
+        }
+
+        const line = (va.major - vb.major) || (va.minor - vb.minor);
+        if (line !== 0 || va.patch === null || vb.patch === null) {
+            return line;
+        }
+
+        return (va.patch - vb.patch) ||
+            (this.stages.indexOf(va.stage) - this.stages.indexOf(vb.stage)) ||
+            (va.build - vb.build);
+    }
+
+    /**
+     * Get the minimum editor version a package declares
+     * @param {object} pkg - Package data
+     * @returns {string|null} - e.g. "2021.3.10f1", or null if none or unparseable
+     */
+    getMinimum(pkg) {
+        if (!this.parse(pkg.unity)) {
+            return null;
+        }
+
+        const full = pkg.unityRelease ? `${pkg.unity.trim()}.${pkg.unityRelease.trim()}` : pkg.unity.trim();
+        return this.parse(full) ? full : pkg.unity.trim();
+    }
+
+    /**
+     * Check whether a package works in an editor version
+     * @param {object} pkg - Package data
+     * @param {string} editorVersion - Selected editor version, '' for any
+     * @returns {boolean} - True if compatible, or if either version is unknown
+     */
+    isCompatible(pkg, editorVersion) {
+        const minimum = this.getMinimum(pkg);
+        if (!minimum || !this.parse(editorVersion)) {
+            return true;
+        }
+
+        return this.compare(minimum, editorVersion) <= 0;
+    }
+
+    /**
+     * Check whether a version is on a long-term support line
+     * @param {string} version - Editor version
+     * @returns {boolean} - True for LTS lines
+     */
+    isLts(version) {
+        const parsed = this.parse(version);
+        return Boolean(parsed) && this.ltsVersions.includes(`${parsed.major}.${parsed.minor}`);
+    }
+
+    /**
+     * Editor lines to offer in the selector: LTS lines plus those packages declare
+     * @param {Array} packages - Package data
+     * @returns {Array} - "major.minor" strings, newest first
+     */
+    getOptions(packages) {
+        const lines = new Set(this.ltsVersions);
+
+        packages.forEach(pkg => {
+            const parsed = this.parse(pkg.unity);
+            if (parsed) {
+                lines.add(`${parsed.major}.${parsed.minor}`);
+            }
+        });
+
+        return Array.from(lines).sort((a, b) => this.compare(b, a));
+    }
+}
+
+// Create global instance
+const unityVersion = new UnityVersion();
@@ -0,0 +1,185 @@
+/**
+ * Watchlist Module
+ * Starred packages, kept in localStorage with the version seen at each visit,
+ * so packages that have released since the last visit can be pointed out
+ */
+
+class Watchlist {
+    constructor() {
+        this.storageKey = 'unityforge-watchlist';
+        this.entries = this.load(); // Package name -> {version, addedAt}
+
+        // Versions recorded at the previous visit; notices compare against these all visit long
+        this.lastVisit = new Map(Array.from(this.entries, ([name, entry]) => [name, entry.version]));
+    }
+
+    /**
+     * Read the watchlist from localStorage
+     * @returns {Map} - Package name to {version, addedAt}
+     */
+    load() {
+        try {
+            return this.parse(JSON.parse(localStorage.getItem(this.storageKey)) || { packages: [] });
+        } catch (error) {
+            console.warn('Could not read watchlist:', error.message);
+            return new Map();
+        }
+    }
+
+    /**
+     * Write the watchlist to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.export()));
+        } catch (error) {
+            console.warn('Could not save watchlist:', error.message);
+        }
+    }
+
+    /**
+     * Validate watchlist JSON, as stored or exported
+     * @param {object} data - {packages: [{name, version, addedAt}]}
+     * @returns {Map} - Package name to {version, addedAt}
+     */
+    parse(data) {
+        if (!data || !Array.isArray(data.packages)) {
+            throw new Error('expected a watchlist file with a "packages" list');
+        }
+
+        const entries = new Map();
+        data.packages.forEach(item => {
+            if (item && typeof item.name === 'string' && item.name.trim()) {
+                entries.set(item.name.trim(), {
+                    version: typeof item.version === 'string' ? item.version : null,
+                    addedAt: typeof item.addedAt === 'string' ? item.addedAt : null
+                });
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * Check whether a package is starred
+     * @param {string} name - Package name
+     * @returns {boolean} - True if watched
+     */
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    /**
+     * Star or unstar a package
+     * @param {object} pkg - Package data
+     * @returns {boolean} - True if the package is now watched
+     */
+    toggle(pkg) {
+        if (this.entries.has(pkg.name)) {
+            this.entries.delete(pkg.name);
+            this.lastVisit.delete(pkg.name);
+        } else {
+            this.entries.set(pkg.name, { version: pkg.version, addedAt: new Date().toISOString() });
+        }
+
+        this.save();
+        return this.entries.has(pkg.name);
+    }
+
+    /**
+     * Compare a watched package with the version recorded for it
+     * @param {object} pkg - Package data as loaded now
+     * @returns {object|null} - {from, to} if it has a newer version, else null
+     */
+    getUpdate(pkg) {
+        const entry = this.entries.get(pkg.name);
+        const seen = entry && (this.lastVisit.has(pkg.name) ? this.lastVisit.get(pkg.name) : entry.version);
+        if (!seen || !semver.parse(pkg.version)) {
+            return null;
+        }
+
+        return semver.compare(pkg.version, seen) > 0
+            ? { from: seen, to: pkg.version }
+            : null;
+    }
+
+    /**
+     * Find every watched package with a newer version
+     * @param {Array} packages - Packages as loaded now
+     * @returns {Array} - [{pkg, from, to}]
+     */
+    getUpdates(packages) {
+        return packages
+            .map(pkg => {
+                const update = this.getUpdate(pkg);
+                return update ? Object.assign({ pkg }, update) : null;
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Record the current versions of watched packages for the next visit
+     * Notices of this visit stay up until they are marked as seen.
+     * @param {Array} packages - Packages as loaded now
+     */
+    recordVisit(packages) {
+        packages.forEach(pkg => {
+            const entry = this.entries.get(pkg.name);
+            // Never step back, e.g. to an older version from the prebuilt catalog
+            if (entry && semver.parse(pkg.version) && (!entry.version || semver.compare(pkg.version, entry.version) > 0)) {
+                entry.version = pkg.version;
+            }
+        });
+        this.save();
+    }
+
+    /**
+     * Record the current versions of watched packages, clearing their update notices
+     * @param {Array} packages - Packages as loaded now
+     */
+    markSeen(packages) {
+        packages.forEach(pkg => {
+            const entry = this.entries.get(pkg.name);
+            if (entry) {
+                entry.version = pkg.version;
+                this.lastVisit.set(pkg.name, pkg.version);
+            }
+        });
+        this.save();
+    }
+
+    /**
+     * Build the exportable watchlist
+     * @returns {object} - {packages: [{name, version, addedAt}]}
+     */
+    export() {
+        return {
+            packages: Array.from(this.entries, ([name, entry]) => ({
+                name,
+                version: entry.version,
+                addedAt: entry.addedAt
+            }))
+        };
+    }
+
+    /**
+     * Merge an exported watchlist into this one
+     * Packages already watched keep their recorded version.
+     * @param {object} data - Parsed watchlist JSON
+     * @returns {number} - Number of packages added
+     */
+    import(data) {
+        let added = 0;
+        this.parse(data).forEach((entry, name) => {
+            if (!this.entries.has(name)) {
+                this.entries.set(name, entry);
+                added++;
+            }
+        });
+
+        this.save();
+        return added;
+    }
+}
+
+// Create global instance
+const watchlist = new Watchlist();
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/**
+ * Catalog Builder
+ * Pre-resolves data/repository.json into data/catalog.json so visitors load
+ * one file instead of fetching every package.json and releases list themselves
+ *
+ * Usage:
+ *   node scripts/build-catalog.js [--out data/catalog.json] [--fixtures fixtures.json]
+ *
+ * Repository entries are resolved with functions/repositoryresolver.js, so
+ * refs, subfolders and non-GitHub hosts work the same as on the site.
+ * GITHUB_TOKEN is sent with release API requests when set.
+ * --fixtures takes a JSON file mapping URLs to response bodies, e.g.
+ *   { "https://raw.githubusercontent.com/owner/repo/main/package.json": { "name": "..." } }
+ * so the catalog can be built offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DownloadCounter } = require('../functions/downloadcounter.js');
+const { repositoryResolver } = require('../functions/repositoryresolver.js');
+
+const ROOT = path.join(__dirname, '..');
+const counter = new DownloadCounter();
+
+/**
+ * Fetch and parse JSON, throwing on HTTP errors
+ * @param {Function} fetchFn - fetch-compatible function
+ * @param {string} url - URL to fetch
+ * @param {object} headers - Request headers
+ * @returns {Promise<any>} - Parsed JSON
+ */
+async function fetchJSON(fetchFn, url, headers = {}) {
+    const response = await fetchFn(url, { headers });
+
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    return response.json();
+}
+
+/**
+ * Fetch every page of a GitHub releases list, following the Link header
+ * @param {Function} fetchFn - fetch-compatible function
+ * @param {string} releaseUrl - GitHub releases API URL
+ * @param {object} headers - Request headers
+ * @returns {Promise<Array>} - All releases
+ */
+async function fetchReleases(fetchFn, releaseUrl, headers = {}) {
+    const releases = [];
+    let url = counter.getPageUrl(releaseUrl);
+
+    while (url) {
+        const response = await fetchFn(url, { headers });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        releases.push(...await response.json());
+        url = counter.getNextPageUrl(response);
+    }
+
+    return releases;
+}
+
+/**
+ * Resolve one repository into a catalog entry
+ * @param {string|object} repository - Entry from repository.json
+ * @param {object} options - {fetch, token}
+ * @returns {Promise<object>} - Catalog entry
+ */
+async function resolveEntry(repository, { fetch: fetchFn, token }) {
+    const entry = {
+        repository: repositoryResolver.getKey(repository),
+        fetchedAt: new Date().toISOString()
+    };
+
+    let source;
+    try {
+        source = repositoryResolver.resolve(repository);
+    } catch (error) {
+        entry.error = error.message;
+        return entry;
+    }
+
+    try {
+        entry.manifest = await fetchJSON(fetchFn, source.manifestUrl);
+    } catch (error) {
+        entry.error = `Failed to load package.json: ${error.message}`;
+        return entry;
+    }
+
+    // Download counts come from the GitHub API only
+    const releaseUrl = entry.manifest.links && entry.manifest.links.release;
+    if (!releaseUrl || !source.supportsDownloads) {
+        return entry;
+    }
+
+    const headers = { 'Accept': 'application/vnd.github.v3+json' };
+    if (token) {
+        headers['Authorization'] = `Bearer ${token}`;
+    }
+
+    try {
+        entry.releases = await fetchReleases(fetchFn, releaseUrl, headers);
+        entry.downloads = counter.sumDownloads(entry.releases);
+    } catch (error) {
+        // Keep the manifest; the browser fetches releases live for this entry
+        entry.error = `Failed to load releases: ${error.message}`;
+    }
+
+    return entry;
+}
+
+/**
+ * Build the catalog for a list of repositories
+ * @param {Array} repositories - Entries from repository.json
+ * @param {object} options - {fetch, token}; fetch defaults to the global fetch
+ * @returns {Promise<object>} - Catalog
+ */
+async function buildCatalog(repositories, options = {}) {
+    const resolveOptions = {
+        fetch: options.fetch || globalThis.fetch,
+        token: options.token
+    };
+
+    const packages = [];
+    // Sequential on purpose: keeps well inside the GitHub API secondary rate limits
+    for (const repository of repositories) {
+        const entry = await resolveEntry(repository, resolveOptions);
+        console.log(`${entry.error ? 'WARN' : 'OK  '} ${entry.repository}${entry.error ? ` (${entry.error})` : ''}`);
+        packages.push(entry);
+    }
+
+    return {
+        generatedAt: new Date().toISOString(),
+        packages
+    };
+}
+
+/**
+ * Create a fetch replacement that serves responses from a fixtures map
+ * Release lists are requested with per_page; fixtures may list them by their plain URL.
+ * @param {object} fixtures - Map of URL to response body
+ * @returns {Function} - fetch-compatible function
+ */
+function createFixtureFetch(fixtures) {
+    const has = (url) => Object.prototype.hasOwnProperty.call(fixtures, url);
+
+    return async (url) => {
+        const key = has(url) ? url : url.replace(/[?&]per_page=\d+$/, '');
+        const found = has(key);
+
+        return {
+            ok: found,
+            status: found ? 200 : 404,
+            statusText: found ? 'OK' : 'Not Found',
+            headers: { get: () => null },
+            json: async () => fixtures[key]
+        };
+    };
+}
+
+/**
+ * Parse --name value pairs from the command line
+ * @param {Array} argv - Arguments
+ * @returns {object} - Options
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            options[argv[i].substring(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const outFile = path.resolve(args.out || path.join(ROOT, 'data', 'catalog.json'));
+
+    const repositoryData = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'repository.json'), 'utf8'));
+
+    const options = { token: process.env.GITHUB_TOKEN };
+    if (args.fixtures) {
+        options.fetch = createFixtureFetch(JSON.parse(fs.readFileSync(args.fixtures, 'utf8')));
+    }
+
+    const catalog = await buildCatalog(repositoryData.repositories, options);
+
+    fs.writeFileSync(outFile, JSON.stringify(catalog, null, 2) + '\n');
+    console.log(`Wrote ${catalog.packages.length} packages to ${path.relative(process.cwd(), outFile)}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Failed to build catalog:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { buildCatalog, resolveEntry, createFixtureFetch };
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Feed Builder
+ * Writes Atom and JSON Feed files listing new package releases, from the
+ * release data in data/catalog.json (run scripts/build-catalog.js first)
+ *
+ * Usage:
+ *   node scripts/build-feeds.js [--catalog data/catalog.json] [--out data/feeds] [--site-url https://example.com/]
+ *
+ * Writes releases.atom and releases.json for the whole catalog, plus
+ * tags/<tag>.atom and tags/<tag>.json for every package tag.
+ * --site-url is the deployed site address, used for absolute links; SITE_URL is used when it is not given.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { releaseFeed } = require('../functions/releasefeed.js');
+
+const ROOT = path.join(__dirname, '..');
+const DEFAULT_SITE_URL = 'https://unityforgedev.github.io/';
+
+/**
+ * Build every feed for a catalog
+ * @param {object} catalog - Catalog from build-catalog.js
+ * @param {object} options - {siteUrl, now}
+ * @returns {Array} - [{path, contents}], paths relative to the site root
+ */
+function buildFeeds(catalog, options = {}) {
+    const siteUrl = (options.siteUrl || DEFAULT_SITE_URL).replace(/\/?$/, '/');
+    const packages = Array.isArray(catalog.packages) ? catalog.packages : [];
+
+    const tags = new Set();
+    packages.forEach(entry => {
+        if (entry.manifest) {
+            releaseFeed.getTags(entry.manifest).forEach(tag => tags.add(tag));
+        }
+    });
+
+    // Two tags writing the same file would silently drop one feed
+    const paths = new Map();
+    tags.forEach(tag => {
+        const feedPath = releaseFeed.getFeedPath(tag, 'atom');
+        if (paths.has(feedPath)) {
+            throw new Error(`Tags "${paths.get(feedPath)}" and "${tag}" both map to ${feedPath}`);
+        }
+        paths.set(feedPath, tag);
+    });
+
+    const feeds = [];
+    [null, ...Array.from(tags).sort()].forEach(tag => {
+        const entries = releaseFeed.collectEntries(packages, tag);
+        const title = tag ? `Unity Forge: new "${tag}" package releases` : 'Unity Forge: new package releases';
+
+        const atomPath = releaseFeed.getFeedPath(tag, 'atom');
+        feeds.push({
+            path: atomPath,
+            contents: releaseFeed.toAtom(entries, {
+                title,
+                siteUrl,
+                feedUrl: siteUrl + atomPath,
+                updated: options.now || new Date()
+            })
+        });
+
+        const jsonPath = releaseFeed.getFeedPath(tag, 'json');
+        feeds.push({
+            path: jsonPath,
+            contents: JSON.stringify(releaseFeed.toJsonFeed(entries, {
+                title,
+                siteUrl,
+                feedUrl: siteUrl + jsonPath
+            }), null, 2) + '\n'
+        });
+    });
+
+    return feeds;
+}
+
+/**
+ * Parse --name value pairs from the command line
+ * @param {Array} argv - Arguments
+ * @returns {object} - Options
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            options[argv[i].substring(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const catalogFile = path.resolve(args.catalog || path.join(ROOT, 'data', 'catalog.json'));
+    const outDir = path.resolve(args.out || path.join(ROOT, releaseFeed.feedDir));
+
+    const catalog = JSON.parse(fs.readFileSync(catalogFile, 'utf8'));
+    const feeds = buildFeeds(catalog, { siteUrl: args['site-url'] || process.env.SITE_URL });
+
+    feeds.forEach(feed => {
+        const file = path.join(outDir, path.relative(releaseFeed.feedDir, feed.path));
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, feed.contents);
+    });
+
+    console.log(`Wrote ${feeds.length} feeds to ${path.relative(process.cwd(), outDir)}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Failed to build feeds:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { buildFeeds };
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * Download Snapshot
+ * Appends the current download total of every package to data/history.json
+ * so the site can show trends. Meant to run on a schedule; see
+ * .github/workflows/snapshot.yml.
+ *
+ * Usage:
+ *   node scripts/snapshot-downloads.js [--history data/history.json] [--fixtures fixtures.json]
+ *
+ * Packages and releases are resolved exactly as scripts/build-catalog.js does.
+ * GITHUB_TOKEN is sent with release API requests when set.
+ * --fixtures takes the same URL-to-body map as build-catalog.js, so a
+ * snapshot can be taken offline against mocked releases.
+ *
+ * History format, oldest snapshot first, at most one snapshot per day:
+ *   { "snapshots": [ { "takenAt": "2024-05-01T04:00:00.000Z", "downloads": { "com.owner.tool": 1234 } } ] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { resolveEntry, createFixtureFetch } = require('./build-catalog.js');
+
+const ROOT = path.join(__dirname, '..');
+
+// About a year of daily snapshots
+const MAX_SNAPSHOTS = 400;
+
+/**
+ * Count downloads for every repository
+ * @param {Array} repositories - Entries from repository.json
+ * @param {object} options - {fetch, token, now}; fetch defaults to the global fetch
+ * @returns {Promise<object>} - Snapshot {takenAt, downloads}
+ */
+async function takeSnapshot(repositories, options = {}) {
+    const resolveOptions = {
+        fetch: options.fetch || globalThis.fetch,
+        token: options.token
+    };
+
+    const snapshot = {
+        takenAt: (options.now || new Date()).toISOString(),
+        downloads: {}
+    };
+
+    // Sequential on purpose, like build-catalog.js
+    for (const repository of repositories) {
+        const entry = await resolveEntry(repository, resolveOptions);
+
+        // Packages without release data are left out rather than recorded as 0
+        if (entry.manifest && typeof entry.manifest.name === 'string' && typeof entry.downloads === 'number') {
+            snapshot.downloads[entry.manifest.name] = entry.downloads;
+            console.log(`OK   ${entry.manifest.name}: ${entry.downloads}`);
+        } else {
+            console.log(`SKIP ${entry.repository}${entry.error ? ` (${entry.error})` : ' (no release data)'}`);
+        }
+    }
+
+    return snapshot;
+}
+
+/**
+ * Add a snapshot to the history, replacing any taken the same day
+ * @param {object} history - Existing history
+ * @param {object} snapshot - Snapshot from takeSnapshot
+ * @param {number} maxSnapshots - Oldest snapshots beyond this are dropped
+ * @returns {object} - New history
+ */
+function appendSnapshot(history, snapshot, maxSnapshots = MAX_SNAPSHOTS) {
+    const day = snapshot.takenAt.substring(0, 10);
+    const snapshots = (history.snapshots || [])
+        .filter(existing => existing.takenAt.substring(0, 10) !== day)
+        .concat([snapshot])
+        .sort((a, b) => Date.parse(a.takenAt) - Date.parse(b.takenAt));
+
+    return { snapshots: snapshots.slice(-maxSnapshots) };
+}
+
+/**
+ * Read the history file, starting empty if it does not exist yet
+ * @param {string} file - Path to history.json
+ * @returns {object} - History
+ */
+function readHistory(file) {
+    if (!fs.existsSync(file)) {
+        return { snapshots: [] };
+    }
+
+    const history = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!history || !Array.isArray(history.snapshots)) {
+        throw new Error(`${file} has no "snapshots" array`);
+    }
+    return history;
+}
+
+/**
+ * Parse --name value pairs from the command line
+ * @param {Array} argv - Arguments
+ * @returns {object} - Options
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i].startsWith('--')) {
+            options[argv[i].substring(2)] = argv[i + 1];
+            i++;
+        }
+    }
+    return options;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const historyFile = path.resolve(args.history || path.join(ROOT, 'data', 'history.json'));
+
+    const repositoryData = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'repository.json'), 'utf8'));
+
+    const options = { token: process.env.GITHUB_TOKEN };
+    if (args.fixtures) {
+        options.fetch = createFixtureFetch(JSON.parse(fs.readFileSync(args.fixtures, 'utf8')));
+    }
+
+    const snapshot = await takeSnapshot(repositoryData.repositories, options);
+    const history = appendSnapshot(readHistory(historyFile), snapshot);
+
+    fs.writeFileSync(historyFile, JSON.stringify(history, null, 2) + '\n');
+    console.log(`Recorded ${Object.keys(snapshot.downloads).length} packages; ` +
+        `${history.snapshots.length} snapshots in ${path.relative(process.cwd(), historyFile)}`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('Failed to take snapshot:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { takeSnapshot, appendSnapshot, readHistory };